@@ -1,13 +1,23 @@
 /**
  * OFAC Search Chrome Extension - Background Service Worker
- * Handles automatic SDN data updates and extension lifecycle events
+ * Handles automatic sanctions list updates, search history retention and
+ * extension lifecycle events
  */
 
-import { downloadAndParseSDN, needsUpdate } from "./utils/ofac-data.js";
+import { downloadAndParseList, needsUpdate } from "./utils/ofac-data.js";
+import { purgeExpiredHistory } from "./utils/retention.js";
+import { SANCTIONS_LISTS, getSanctionsList } from "./utils/sanctions-lists.js";
+import {
+  getListStatus,
+  saveListStatus,
+  replaceListEntries,
+  rebuildSearchIndex,
+  saveListSummary,
+} from "./utils/list-store.js";
+import { SEARCH_INDEX_VERSION } from "./utils/search-index.js";
 import {
   initDB,
-  storeSDNEntries,
-  clearSDNEntries,
+  getAllSDNEntries,
   saveSetting,
   getSetting,
   getSDNCount,
@@ -15,7 +25,12 @@ import {
 
 // Constants
 const UPDATE_ALARM_NAME = "ofac-sdn-update";
-const UPDATE_INTERVAL_HOURS = 24;
+// Check as often as the most frequently updated list needs it
+const UPDATE_INTERVAL_HOURS = Math.min(
+  ...SANCTIONS_LISTS.map((list) => list.updateIntervalHours)
+);
+const RETENTION_ALARM_NAME = "ofac-history-retention";
+const RETENTION_INTERVAL_HOURS = 24;
 
 /**
  * Initialize the extension on first install
@@ -29,8 +44,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     await checkAndUpdateSDNData();
   }
 
-  // Set up periodic update alarm
+  // Set up periodic update and retention alarms
   await setupUpdateAlarm();
+  await setupRetentionAlarm();
 });
 
 /**
@@ -39,14 +55,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 chrome.runtime.onStartup.addListener(async () => {
   await checkAndUpdateSDNData();
   await setupUpdateAlarm();
+  await purgeExpiredRecords();
+  await setupRetentionAlarm();
 });
 
 /**
- * Handle alarm events for periodic updates
+ * Handle alarm events for periodic updates and retention purges
  */
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === UPDATE_ALARM_NAME) {
     await checkAndUpdateSDNData();
+  } else if (alarm.name === RETENTION_ALARM_NAME) {
+    await purgeExpiredRecords();
   }
 });
 
@@ -64,6 +84,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === "resumeListDownloads") {
+    handleResumeListDownloads(message.listId).then(sendResponse);
+    return true;
+  }
+
   if (message.action === "getSDNEntries") {
     handleGetSDNEntries().then(sendResponse);
     return true;
@@ -77,7 +102,7 @@ async function setupUpdateAlarm() {
   // Clear any existing alarm
   await chrome.alarms.clear(UPDATE_ALARM_NAME);
 
-  // Create new alarm for periodic updates (every 24 hours)
+  // Create new alarm for periodic update checks
   chrome.alarms.create(UPDATE_ALARM_NAME, {
     delayInMinutes: UPDATE_INTERVAL_HOURS * 60,
     periodInMinutes: UPDATE_INTERVAL_HOURS * 60,
@@ -85,51 +110,72 @@ async function setupUpdateAlarm() {
 }
 
 /**
- * Initialize SDN data on first install
+ * Set up the daily alarm that purges expired search history
  */
-async function initializeSDNData() {
-  try {
-    await initDB();
-    await saveSetting("updateStatus", "downloading");
-    await saveSetting("lastError", null);
+async function setupRetentionAlarm() {
+  await chrome.alarms.clear(RETENTION_ALARM_NAME);
 
-    const result = await downloadAndParseSDN();
-
-    // Store entries
-    await clearSDNEntries();
-    await storeSDNEntries(result.entries);
-
-    // Save metadata
-    await saveSetting("lastUpdate", result.downloadedAt);
-    await saveSetting("publishDate", result.publishDate);
-    await saveSetting("entryCount", result.count);
-    await saveSetting("updateStatus", "complete");
+  chrome.alarms.create(RETENTION_ALARM_NAME, {
+    delayInMinutes: RETENTION_INTERVAL_HOURS * 60,
+    periodInMinutes: RETENTION_INTERVAL_HOURS * 60,
+  });
+}
 
-    return { success: true, count: result.count };
+/**
+ * Purge search history older than the retention period
+ */
+async function purgeExpiredRecords() {
+  try {
+    await initDB();
+    await purgeExpiredHistory("scheduled");
   } catch (error) {
-    console.error("Failed to initialize SDN data:", error);
-    await saveSetting("updateStatus", "error");
-    await saveSetting("lastError", error.message);
-    return { success: false, error: error.message };
+    console.error("Failed to purge expired search history:", error);
   }
 }
 
+/**
+ * Initialize SDN data on first install
+ */
+async function initializeSDNData() {
+  await initDB();
+  return await performSDNUpdate(SANCTIONS_LISTS);
+}
+
+/**
+ * Get the lists that are kept up to date by downloading them
+ * A list loaded from a file keeps that data until downloads are resumed
+ * from the settings page
+ * @param {Object} listStatus - From getListStatus
+ * @returns {Array<Object>}
+ */
+function getDownloadedLists(listStatus) {
+  return SANCTIONS_LISTS.filter((list) => !listStatus[list.id]?.file);
+}
+
 /**
  * Check if data needs updating and perform update if necessary
+ * Each list is refreshed on its own schedule
  */
 async function checkAndUpdateSDNData() {
   try {
     await initDB();
-    const lastUpdate = await getSetting("lastUpdate");
+    const listStatus = await getListStatus();
     const count = await getSDNCount();
 
+    const dueLists = getDownloadedLists(listStatus).filter(
+      (list) =>
+        !listStatus[list.id]?.entryCount ||
+        needsUpdate(listStatus[list.id].lastUpdate, list.updateIntervalHours)
+    );
+
     // Check if we need to update
-    if (!needsUpdate(lastUpdate) && count > 0) {
+    if (dueLists.length === 0 && count > 0) {
+      await ensureSearchIndex();
       return { success: true, updated: false };
     }
 
     // Perform update
-    return await performSDNUpdate();
+    return await performSDNUpdate(dueLists);
   } catch (error) {
     console.error("Error checking SDN data:", error);
     return { success: false, error: error.message };
@@ -137,26 +183,40 @@ async function checkAndUpdateSDNData() {
 }
 
 /**
- * Perform the actual SDN data update
+ * Perform the actual list data update
+ * A list that fails to download keeps its previous entries
+ * @param {Array<Object>} lists - Lists to update (see sanctions-lists.js)
  */
-async function performSDNUpdate() {
+async function performSDNUpdate(lists) {
   try {
     await saveSetting("updateStatus", "downloading");
     await saveSetting("lastError", null);
 
-    const result = await downloadAndParseSDN();
+    const errors = [];
+
+    for (const list of lists) {
+      try {
+        const result = await downloadAndParseList(list);
+        await replaceListEntries(list, result);
+      } catch (error) {
+        console.error(`Failed to update ${list.name}:`, error);
+        await saveListStatus(list.id, { lastError: error.message });
+        errors.push(`${list.name}: ${error.message}`);
+      }
+    }
+
+    // Index every list's entries for search
+    await rebuildSearchIndex();
+    await saveListSummary();
 
-    // Clear old entries and store new ones
-    await clearSDNEntries();
-    await storeSDNEntries(result.entries);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
 
-    // Save metadata
-    await saveSetting("lastUpdate", result.downloadedAt);
-    await saveSetting("publishDate", result.publishDate);
-    await saveSetting("entryCount", result.count);
     await saveSetting("updateStatus", "complete");
 
-    return { success: true, updated: true, count: result.count };
+    const count = await getSetting("entryCount");
+    return { success: true, updated: true, count };
   } catch (error) {
     console.error("Failed to update SDN data:", error);
     await saveSetting("updateStatus", "error");
@@ -165,6 +225,18 @@ async function performSDNUpdate() {
   }
 }
 
+/**
+ * Rebuild the search index if it is missing or from an older version
+ */
+async function ensureSearchIndex() {
+  const indexVersion = await getSetting("searchIndexVersion");
+  if (indexVersion === SEARCH_INDEX_VERSION) return;
+
+  if ((await getSDNCount()) > 0) {
+    await rebuildSearchIndex();
+  }
+}
+
 /**
  * Handle request for data status from popup
  */
@@ -177,6 +249,7 @@ async function handleGetDataStatus() {
       (await getSetting("entryCount")) || (await getSDNCount());
     const updateStatus = await getSetting("updateStatus");
     const lastError = await getSetting("lastError");
+    const listStatus = await getListStatus();
 
     return {
       success: true,
@@ -185,6 +258,12 @@ async function handleGetDataStatus() {
       entryCount,
       updateStatus,
       lastError,
+      lists: SANCTIONS_LISTS.map((list) => ({
+        id: list.id,
+        name: list.name,
+        shortName: list.shortName,
+        ...listStatus[list.id],
+      })),
       needsUpdate: needsUpdate(lastUpdate) || entryCount === 0,
     };
   } catch (error) {
@@ -196,7 +275,23 @@ async function handleGetDataStatus() {
  * Handle force update request from popup
  */
 async function handleForceUpdate() {
-  return await performSDNUpdate();
+  await initDB();
+  return await performSDNUpdate(getDownloadedLists(await getListStatus()));
+}
+
+/**
+ * Handle request from the settings page to download a list loaded from a
+ * file again, which puts it back on the update schedule
+ * @param {string} listId - List ID
+ */
+async function handleResumeListDownloads(listId) {
+  const list = getSanctionsList(listId);
+  if (!list) {
+    return { success: false, error: `Unknown list: ${listId}` };
+  }
+
+  await initDB();
+  return await performSDNUpdate([list]);
 }
 
 /**
@@ -205,7 +300,6 @@ async function handleForceUpdate() {
 async function handleGetSDNEntries() {
   try {
     await initDB();
-    const { getAllSDNEntries } = await import("./utils/storage.js");
     const entries = await getAllSDNEntries();
     return { success: true, entries };
   } catch (error) {
@@ -0,0 +1,1034 @@
+/**
+ * OFAC Compliance Search Chrome Extension
+ * Settings Page JavaScript
+ */
+
+import {
+  DEFAULT_MATCH_THRESHOLD,
+  DEFAULT_SCORING_WEIGHTS,
+} from "./utils/fuzzy-search.js";
+import {
+  buildAuditCSV,
+  buildAuditJSON,
+  parseAuditJSON,
+  getAuditLogFileName,
+} from "./utils/audit-log.js";
+import { downloadFile } from "./utils/download.js";
+import {
+  SANCTIONS_LISTS,
+  formatPublishDate,
+  getSanctionsList,
+} from "./utils/sanctions-lists.js";
+import {
+  getListStatus,
+  replaceListEntries,
+  rebuildSearchIndex,
+  saveListSummary,
+  clearUpdateError,
+} from "./utils/list-store.js";
+import { parseListFile, hashFile } from "./utils/list-file.js";
+import { verifyRecord } from "./utils/integrity.js";
+import {
+  getRetentionYears,
+  purgeExpiredHistory,
+  MIN_RETENTION_YEARS,
+  MAX_RETENTION_YEARS,
+} from "./utils/retention.js";
+import {
+  initDB,
+  saveSetting,
+  getSetting,
+  querySearchHistory,
+  importSearchHistory,
+  getAuditLog,
+} from "./utils/storage.js";
+import {
+  finishHistoryEncryption,
+  requireUnlock,
+  watchIdle,
+} from "./utils/unlock.js";
+import {
+  checkPassphrase,
+  createVaultKey,
+  getIdleMinutes,
+  lockVault,
+  saveVault,
+  setIdleMinutes,
+  MIN_PASSPHRASE_LENGTH,
+} from "./utils/vault.js";
+
+// DOM Elements
+const elements = {
+  scoringForm: document.getElementById("scoringForm"),
+  matchThreshold: document.getElementById("matchThreshold"),
+  weightInputs: document.querySelectorAll("[data-weight]"),
+  resetScoringBtn: document.getElementById("resetScoringBtn"),
+  saveScoringBtn: document.getElementById("saveScoringBtn"),
+  scoringMessage: document.getElementById("scoringMessage"),
+  sanctionsListStatus: document.getElementById("sanctionsListStatus"),
+  listFileForm: document.getElementById("listFileForm"),
+  listFileTarget: document.getElementById("listFileTarget"),
+  listFile: document.getElementById("listFile"),
+  importListFileBtn: document.getElementById("importListFileBtn"),
+  listFileMessage: document.getElementById("listFileMessage"),
+  storeProfileList: document.getElementById("storeProfileList"),
+  storeProfileForm: document.getElementById("storeProfileForm"),
+  storeFormTitle: document.getElementById("storeFormTitle"),
+  storeProfileId: document.getElementById("storeProfileId"),
+  storeLegalName: document.getElementById("storeLegalName"),
+  storeAddress: document.getElementById("storeAddress"),
+  storeOfficerName: document.getElementById("storeOfficerName"),
+  storeOfficerTitle: document.getElementById("storeOfficerTitle"),
+  storeLogo: document.getElementById("storeLogo"),
+  storeLogoPreview: document.getElementById("storeLogoPreview"),
+  storeLogoImage: document.getElementById("storeLogoImage"),
+  removeLogoBtn: document.getElementById("removeLogoBtn"),
+  storeDefault: document.getElementById("storeDefault"),
+  cancelStoreBtn: document.getElementById("cancelStoreBtn"),
+  saveStoreBtn: document.getElementById("saveStoreBtn"),
+  storeMessage: document.getElementById("storeMessage"),
+  retentionForm: document.getElementById("retentionForm"),
+  retentionYears: document.getElementById("retentionYears"),
+  purgeLog: document.getElementById("purgeLog"),
+  purgeNowBtn: document.getElementById("purgeNowBtn"),
+  saveRetentionBtn: document.getElementById("saveRetentionBtn"),
+  retentionMessage: document.getElementById("retentionMessage"),
+  auditFrom: document.getElementById("auditFrom"),
+  auditTo: document.getElementById("auditTo"),
+  exportCsvBtn: document.getElementById("exportCsvBtn"),
+  exportJsonBtn: document.getElementById("exportJsonBtn"),
+  auditImportFile: document.getElementById("auditImportFile"),
+  importLogBtn: document.getElementById("importLogBtn"),
+  auditMessage: document.getElementById("auditMessage"),
+  protectionForm: document.getElementById("protectionForm"),
+  idleMinutes: document.getElementById("idleMinutes"),
+  lockNowBtn: document.getElementById("lockNowBtn"),
+  saveProtectionBtn: document.getElementById("saveProtectionBtn"),
+  currentPassphrase: document.getElementById("currentPassphrase"),
+  newPassphrase: document.getElementById("newPassphrase"),
+  confirmPassphrase: document.getElementById("confirmPassphrase"),
+  changePassphraseBtn: document.getElementById("changePassphraseBtn"),
+  protectionMessage: document.getElementById("protectionMessage"),
+};
+
+// Logos are scaled down to fit this box before they are stored
+const LOGO_MAX_WIDTH = 600;
+const LOGO_MAX_HEIGHT = 200;
+
+// Allowed idle time before the extension locks
+const MIN_IDLE_MINUTES = 1;
+const MAX_IDLE_MINUTES = 240;
+
+// State
+let storeProfiles = [];
+let defaultStoreProfileId = null;
+let pendingLogo = null;
+
+/**
+ * Initialize the settings page
+ */
+async function init() {
+  try {
+    await initDB();
+    await requireUnlock();
+    await loadScoringSettings();
+    await loadListStatus();
+    await loadStoreProfiles();
+    await loadRetention();
+    elements.idleMinutes.value = await getIdleMinutes();
+    setupEventListeners();
+    watchIdle();
+  } catch (error) {
+    console.error("Failed to initialize settings:", error);
+    showMessage(elements.scoringMessage, "error", "Failed to load settings");
+  }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  elements.scoringForm.addEventListener("submit", handleSaveScoring);
+  elements.resetScoringBtn.addEventListener("click", handleResetScoring);
+  elements.sanctionsListStatus.addEventListener("click", handleListStatusClick);
+  elements.listFileForm.addEventListener("submit", handleImportListFile);
+  elements.storeProfileForm.addEventListener("submit", handleSaveStore);
+  elements.cancelStoreBtn.addEventListener("click", resetStoreForm);
+  elements.storeLogo.addEventListener("change", handleLogoChange);
+  elements.removeLogoBtn.addEventListener("click", () => showLogo(null));
+  elements.storeProfileList.addEventListener("click", handleStoreListClick);
+  elements.retentionForm.addEventListener("submit", handleSaveRetention);
+  elements.purgeNowBtn.addEventListener("click", handlePurgeNow);
+  elements.exportCsvBtn.addEventListener("click", () => handleExportLog("csv"));
+  elements.exportJsonBtn.addEventListener("click", () =>
+    handleExportLog("json")
+  );
+  elements.importLogBtn.addEventListener("click", handleImportLog);
+  elements.protectionForm.addEventListener("submit", handleSaveIdleMinutes);
+  elements.lockNowBtn.addEventListener("click", handleLockNow);
+  elements.changePassphraseBtn.addEventListener(
+    "click",
+    handleChangePassphrase
+  );
+}
+
+/**
+ * Load saved threshold and weights into the form
+ */
+async function loadScoringSettings() {
+  const threshold = await getSetting("matchThreshold");
+  const weights = await getSetting("scoringWeights");
+
+  fillScoringForm(threshold ?? DEFAULT_MATCH_THRESHOLD, {
+    ...DEFAULT_SCORING_WEIGHTS,
+    ...weights,
+  });
+}
+
+/**
+ * Fill the scoring form
+ */
+function fillScoringForm(threshold, weights) {
+  elements.matchThreshold.value = threshold;
+  elements.weightInputs.forEach((input) => {
+    input.value = weights[input.dataset.weight];
+  });
+}
+
+/**
+ * Handle save of threshold and weights
+ */
+async function handleSaveScoring(e) {
+  e.preventDefault();
+
+  const threshold = Number(elements.matchThreshold.value);
+  const weights = {};
+  elements.weightInputs.forEach((input) => {
+    weights[input.dataset.weight] = Number(input.value);
+  });
+
+  const error = validateScoring(threshold, weights);
+  if (error) {
+    showMessage(elements.scoringMessage, "error", error);
+    return;
+  }
+
+  elements.saveScoringBtn.disabled = true;
+
+  try {
+    await saveSetting("matchThreshold", threshold);
+    await saveSetting("scoringWeights", weights);
+    showMessage(elements.scoringMessage, "success", "Settings saved");
+  } catch (error) {
+    console.error("Failed to save settings:", error);
+    showMessage(
+      elements.scoringMessage,
+      "error",
+      "Failed to save settings: " + error.message
+    );
+  } finally {
+    elements.saveScoringBtn.disabled = false;
+  }
+}
+
+/**
+ * Restore default threshold and weights (not saved until submitted)
+ */
+function handleResetScoring() {
+  fillScoringForm(DEFAULT_MATCH_THRESHOLD, DEFAULT_SCORING_WEIGHTS);
+  showMessage(elements.scoringMessage, "", "Defaults restored - save to apply");
+}
+
+/**
+ * Validate threshold and weights
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateScoring(threshold, weights) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+    return "Threshold must be a whole number from 1 to 100.";
+  }
+
+  for (const value of Object.values(weights)) {
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return "Weights must be numbers from 0 to 100.";
+    }
+  }
+
+  if (weights.firstName + weights.middleName + weights.lastName === 0) {
+    return "At least one name weight must be greater than 0.";
+  }
+
+  return null;
+}
+
+/**
+ * Show each sanctions list's entry count and last update
+ */
+async function loadListStatus() {
+  const listStatus = await getListStatus();
+
+  elements.sanctionsListStatus.innerHTML = SANCTIONS_LISTS.map((list) => {
+    const status = listStatus[list.id] || {};
+
+    return `
+    <li>
+      <div class="sanctions-list-name">${escapeHtml(list.name)}</div>
+      <div class="sanctions-list-meta">${
+        status.lastUpdate
+          ? `${(
+              status.entryCount || 0
+            ).toLocaleString()} entries published ${formatPublishDate(
+              status.publishDate
+            )}, updated ${formatDateTime(new Date(status.lastUpdate))}`
+          : "Not downloaded yet"
+      }</div>
+      ${
+        status.file
+          ? `<div class="sanctions-list-meta">Source: ${escapeHtml(
+              status.source
+            )} (SHA-256 ${escapeHtml(
+              status.file.sha256
+            )}). Scheduled downloads are paused.</div>
+      <button type="button" class="clear-btn" data-action="resume" data-id="${
+        list.id
+      }">Resume Downloads</button>`
+          : `<div class="sanctions-list-meta">Source: ${escapeHtml(
+              list.source
+            )}, downloaded every ${list.updateIntervalHours} hours</div>`
+      }
+      ${
+        status.lastError
+          ? `<div class="sanctions-list-error">Last update failed: ${escapeHtml(
+              status.lastError
+            )}</div>`
+          : ""
+      }
+    </li>
+  `;
+  }).join("");
+
+  if (!elements.listFileTarget.options.length) {
+    elements.listFileTarget.innerHTML = SANCTIONS_LISTS.map(
+      (list) => `<option value="${list.id}">${escapeHtml(list.name)}</option>`
+    ).join("");
+  }
+}
+
+/**
+ * Handle resume clicks in the sanctions list status
+ * Downloads the list again, replacing the entries imported from a file
+ */
+async function handleListStatusClick(e) {
+  const button = e.target.closest("[data-action='resume']");
+  if (!button) return;
+
+  const list = getSanctionsList(button.dataset.id);
+  if (
+    !list ||
+    !confirm(
+      `Download the ${list.name} from ${list.source}? This replaces the entries imported from a file.`
+    )
+  ) {
+    return;
+  }
+
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: "resumeListDownloads",
+      listId: list.id,
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || "Download failed");
+    }
+
+    showMessage(
+      elements.listFileMessage,
+      "success",
+      `Downloaded the ${list.shortName} list; scheduled downloads resumed.`
+    );
+  } catch (error) {
+    console.error("Failed to resume list downloads:", error);
+    showMessage(
+      elements.listFileMessage,
+      "error",
+      "Failed to download list: " + error.message
+    );
+  } finally {
+    await loadListStatus();
+  }
+}
+
+/**
+ * Replace a list's entries with a list file saved on this computer
+ * The file's name and hash are kept as the list's source
+ */
+async function handleImportListFile(e) {
+  e.preventDefault();
+
+  const list = getSanctionsList(elements.listFileTarget.value);
+  const file = elements.listFile.files[0];
+  if (!list || !file) {
+    showMessage(elements.listFileMessage, "error", "Choose a list and a file.");
+    return;
+  }
+
+  elements.importListFileBtn.disabled = true;
+
+  try {
+    const { entries, publishDate, format, skipped } = await parseListFile(file);
+    const sha256 = await hashFile(file);
+
+    await replaceListEntries(list, {
+      entries,
+      publishDate,
+      downloadedAt: new Date().toISOString(),
+      source: `${format} file ${file.name}`,
+      file: { name: file.name, size: file.size, sha256 },
+    });
+    await rebuildSearchIndex();
+    await saveListSummary();
+    await clearUpdateError();
+    await loadListStatus();
+
+    const parts = [
+      `Imported ${entries.length.toLocaleString()} entries into the ${
+        list.shortName
+      } list`,
+    ];
+    if (publishDate) {
+      parts.push(`published ${formatPublishDate(publishDate)}`);
+    }
+    if (skipped > 0) {
+      parts.push(`${skipped.toLocaleString()} skipped (no ID or name)`);
+    }
+
+    showMessage(elements.listFileMessage, "success", parts.join(", "));
+    elements.listFile.value = "";
+  } catch (error) {
+    console.error("Failed to import list file:", error);
+    showMessage(
+      elements.listFileMessage,
+      "error",
+      "Failed to import list file: " + error.message
+    );
+  } finally {
+    elements.importListFileBtn.disabled = false;
+  }
+}
+
+/**
+ * Load store profiles and render the list
+ */
+async function loadStoreProfiles() {
+  storeProfiles = (await getSetting("storeProfiles")) || [];
+  defaultStoreProfileId = await getSetting("defaultStoreProfileId");
+  renderStoreProfiles();
+  resetStoreForm();
+}
+
+/**
+ * Render the store profile list
+ */
+function renderStoreProfiles() {
+  if (storeProfiles.length === 0) {
+    elements.storeProfileList.innerHTML = `
+      <li class="store-profile-empty">No store profiles yet. Certificates are issued without a letterhead.</li>
+    `;
+    return;
+  }
+
+  elements.storeProfileList.innerHTML = storeProfiles
+    .map(
+      (profile) => `
+    <li class="store-profile-item">
+      ${profile.logo ? `<img src="${profile.logo.dataUrl}" alt="" />` : ""}
+      <div class="store-profile-info">
+        <div class="store-profile-name">${escapeHtml(profile.legalName)}</div>
+        <div class="store-profile-officer">${escapeHtml(
+          [profile.officerName, profile.officerTitle]
+            .filter(Boolean)
+            .join(", ") || "No compliance officer set"
+        )}</div>
+      </div>
+      ${
+        profile.id === defaultStoreProfileId
+          ? '<span class="store-profile-default">Default</span>'
+          : ""
+      }
+      <button type="button" class="clear-btn" data-action="edit" data-id="${
+        profile.id
+      }">Edit</button>
+      <button type="button" class="clear-btn" data-action="delete" data-id="${
+        profile.id
+      }">Delete</button>
+    </li>
+  `
+    )
+    .join("");
+}
+
+/**
+ * Handle edit and delete clicks in the store profile list
+ */
+async function handleStoreListClick(e) {
+  const button = e.target.closest("[data-action]");
+  if (!button) return;
+
+  const profile = storeProfiles.find((p) => p.id === button.dataset.id);
+  if (!profile) return;
+
+  if (button.dataset.action === "edit") {
+    fillStoreForm(profile);
+    return;
+  }
+
+  if (!confirm(`Delete the store profile "${profile.legalName}"?`)) return;
+
+  try {
+    storeProfiles = storeProfiles.filter((p) => p.id !== profile.id);
+    await saveSetting("storeProfiles", storeProfiles);
+    if (defaultStoreProfileId === profile.id) {
+      defaultStoreProfileId = null;
+      await saveSetting("defaultStoreProfileId", null);
+    }
+    renderStoreProfiles();
+    if (elements.storeProfileId.value === profile.id) resetStoreForm();
+    showMessage(elements.storeMessage, "success", "Store profile deleted");
+  } catch (error) {
+    console.error("Failed to delete store profile:", error);
+    showMessage(
+      elements.storeMessage,
+      "error",
+      "Failed to delete store profile: " + error.message
+    );
+  }
+}
+
+/**
+ * Fill the store form with a profile for editing
+ */
+function fillStoreForm(profile) {
+  elements.storeFormTitle.textContent = "Edit Store Profile";
+  elements.storeProfileId.value = profile.id;
+  elements.storeLegalName.value = profile.legalName;
+  elements.storeAddress.value = profile.address || "";
+  elements.storeOfficerName.value = profile.officerName || "";
+  elements.storeOfficerTitle.value = profile.officerTitle || "";
+  elements.storeDefault.checked = profile.id === defaultStoreProfileId;
+  elements.storeLogo.value = "";
+  showLogo(profile.logo);
+  showMessage(elements.storeMessage, "", "");
+  elements.storeLegalName.focus();
+}
+
+/**
+ * Clear the store form for a new profile
+ */
+function resetStoreForm() {
+  elements.storeProfileForm.reset();
+  elements.storeFormTitle.textContent = "Add Store Profile";
+  elements.storeProfileId.value = "";
+  // The first profile becomes the default
+  elements.storeDefault.checked = storeProfiles.length === 0;
+  showLogo(null);
+}
+
+/**
+ * Show the logo that will be saved with the profile
+ * @param {Object|null} logo - {dataUrl, width, height}
+ */
+function showLogo(logo) {
+  pendingLogo = logo;
+  elements.storeLogoImage.src = logo ? logo.dataUrl : "";
+  elements.storeLogoPreview.classList.toggle("show", !!logo);
+  if (!logo) elements.storeLogo.value = "";
+}
+
+/**
+ * Handle logo file selection
+ */
+async function handleLogoChange() {
+  const file = elements.storeLogo.files[0];
+  if (!file) return;
+
+  try {
+    showLogo(await readLogo(file));
+  } catch (error) {
+    console.error("Failed to read logo:", error);
+    showLogo(null);
+    showMessage(
+      elements.storeMessage,
+      "error",
+      "Could not read the logo image. Use a PNG or JPEG file."
+    );
+  }
+}
+
+/**
+ * Scale a logo image and convert it to JPEG for storage
+ * PDF certificates embed JPEG data directly, so every logo is stored as JPEG
+ * on a white background
+ * @param {File} file - PNG or JPEG image
+ * @returns {Promise<Object>} - {dataUrl, width, height}
+ */
+async function readLogo(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(
+    1,
+    LOGO_MAX_WIDTH / bitmap.width,
+    LOGO_MAX_HEIGHT / bitmap.height
+  );
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return { dataUrl: canvas.toDataURL("image/jpeg", 0.9), width, height };
+}
+
+/**
+ * Handle save of a store profile
+ */
+async function handleSaveStore(e) {
+  e.preventDefault();
+
+  const legalName = elements.storeLegalName.value.trim();
+  if (!legalName) {
+    showMessage(elements.storeMessage, "error", "Legal name is required.");
+    return;
+  }
+
+  const profile = {
+    id: elements.storeProfileId.value || crypto.randomUUID(),
+    legalName,
+    address: elements.storeAddress.value.trim(),
+    officerName: elements.storeOfficerName.value.trim(),
+    officerTitle: elements.storeOfficerTitle.value.trim(),
+    logo: pendingLogo,
+  };
+
+  elements.saveStoreBtn.disabled = true;
+
+  try {
+    const index = storeProfiles.findIndex((p) => p.id === profile.id);
+    if (index === -1) {
+      storeProfiles.push(profile);
+    } else {
+      storeProfiles[index] = profile;
+    }
+    await saveSetting("storeProfiles", storeProfiles);
+
+    if (elements.storeDefault.checked) {
+      defaultStoreProfileId = profile.id;
+    } else if (defaultStoreProfileId === profile.id) {
+      defaultStoreProfileId = null;
+    }
+    await saveSetting("defaultStoreProfileId", defaultStoreProfileId);
+
+    renderStoreProfiles();
+    resetStoreForm();
+    showMessage(elements.storeMessage, "success", "Store profile saved");
+  } catch (error) {
+    console.error("Failed to save store profile:", error);
+    showMessage(
+      elements.storeMessage,
+      "error",
+      "Failed to save store profile: " + error.message
+    );
+  } finally {
+    elements.saveStoreBtn.disabled = false;
+  }
+}
+
+/**
+ * Load the retention period and the purge log
+ */
+async function loadRetention() {
+  elements.retentionYears.value = await getRetentionYears();
+  await renderPurgeLog();
+}
+
+/**
+ * Render the most recent purges
+ */
+async function renderPurgeLog() {
+  const entries = await getAuditLog(10);
+
+  if (entries.length === 0) {
+    elements.purgeLog.innerHTML = `
+      <li class="purge-log-empty">No records have been purged.</li>
+    `;
+    return;
+  }
+
+  elements.purgeLog.innerHTML = entries
+    .map(
+      (entry) => `
+    <li>${formatDateTime(new Date(entry.timestamp))}: purged ${
+        entry.count
+      } record${entry.count === 1 ? "" : "s"} screened before ${new Date(
+        entry.cutoff
+      ).toLocaleDateString()} (${escapeHtml(entry.reason)})</li>
+  `
+    )
+    .join("");
+}
+
+/**
+ * Handle save of the retention period
+ */
+async function handleSaveRetention(e) {
+  e.preventDefault();
+
+  const years = Number(elements.retentionYears.value);
+  if (
+    !Number.isInteger(years) ||
+    years < MIN_RETENTION_YEARS ||
+    years > MAX_RETENTION_YEARS
+  ) {
+    showMessage(
+      elements.retentionMessage,
+      "error",
+      `Retention must be a whole number of years from ${MIN_RETENTION_YEARS} to ${MAX_RETENTION_YEARS}.`
+    );
+    return;
+  }
+
+  elements.saveRetentionBtn.disabled = true;
+
+  try {
+    await saveSetting("retentionYears", years);
+    showMessage(elements.retentionMessage, "success", "Retention saved");
+  } catch (error) {
+    console.error("Failed to save retention:", error);
+    showMessage(
+      elements.retentionMessage,
+      "error",
+      "Failed to save retention: " + error.message
+    );
+  } finally {
+    elements.saveRetentionBtn.disabled = false;
+  }
+}
+
+/**
+ * Purge expired records now instead of waiting for the daily purge
+ */
+async function handlePurgeNow() {
+  const years = await getRetentionYears();
+  if (
+    !confirm(
+      `Delete screening records older than ${years} years? Newer records are kept.`
+    )
+  ) {
+    return;
+  }
+
+  elements.purgeNowBtn.disabled = true;
+
+  try {
+    const purge = await purgeExpiredHistory("manual");
+    await renderPurgeLog();
+    showMessage(
+      elements.retentionMessage,
+      "success",
+      purge.count > 0
+        ? `Purged ${purge.count.toLocaleString()} expired record${
+            purge.count === 1 ? "" : "s"
+          }`
+        : "No records are past the retention period"
+    );
+  } catch (error) {
+    console.error("Failed to purge records:", error);
+    showMessage(
+      elements.retentionMessage,
+      "error",
+      "Failed to purge records: " + error.message
+    );
+  } finally {
+    elements.purgeNowBtn.disabled = false;
+  }
+}
+
+/**
+ * Export the screening log for the selected dates
+ * @param {string} format - "csv" or "json"
+ */
+async function handleExportLog(format) {
+  const from = elements.auditFrom.value;
+  const to = elements.auditTo.value;
+
+  if (from && to && from > to) {
+    showMessage(
+      elements.auditMessage,
+      "error",
+      "The From date must be on or before the To date."
+    );
+    return;
+  }
+
+  try {
+    const { records: found } = await querySearchHistory({
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+      limit: Infinity,
+    });
+
+    // Records that cannot be decrypted have no customer details to log
+    const records = found.filter((record) => !record.undecryptable);
+    const unreadable = found.length - records.length;
+
+    if (records.length === 0) {
+      showMessage(
+        elements.auditMessage,
+        "error",
+        unreadable
+          ? "No screenings in the selected dates can be decrypted with the current passphrase."
+          : "No screenings in the selected dates."
+      );
+      return;
+    }
+
+    // Logs read oldest first
+    records.reverse();
+
+    const fileName = getAuditLogFileName(from, to, format);
+    if (format === "csv") {
+      downloadFile(buildAuditCSV(records), fileName, "text/csv");
+    } else {
+      downloadFile(
+        buildAuditJSON(records, { from, to }),
+        fileName,
+        "application/json"
+      );
+    }
+
+    showMessage(
+      elements.auditMessage,
+      "success",
+      `Exported ${records.length.toLocaleString()} screening${
+        records.length === 1 ? "" : "s"
+      }${
+        unreadable
+          ? `; ${unreadable.toLocaleString()} that cannot be decrypted with the current passphrase left out`
+          : ""
+      }`
+    );
+  } catch (error) {
+    console.error("Failed to export screening log:", error);
+    showMessage(
+      elements.auditMessage,
+      "error",
+      "Failed to export screening log: " + error.message
+    );
+  }
+}
+
+/**
+ * Import a JSON screening log exported on another workstation
+ * Only sealed records that still match their digest are imported
+ */
+async function handleImportLog() {
+  const file = elements.auditImportFile.files[0];
+  if (!file) {
+    showMessage(elements.auditMessage, "error", "Choose a JSON log file.");
+    return;
+  }
+
+  elements.importLogBtn.disabled = true;
+
+  try {
+    const records = parseAuditJSON(await file.text());
+
+    const verified = [];
+    let rejected = 0;
+    for (const record of records) {
+      if (record.refId && record.digest && (await verifyRecord(record))) {
+        verified.push(record);
+      } else {
+        rejected++;
+      }
+    }
+
+    const { imported, duplicates } = await importSearchHistory(verified);
+
+    const parts = [`Imported ${imported.toLocaleString()}`];
+    if (duplicates > 0) {
+      parts.push(`${duplicates.toLocaleString()} already present`);
+    }
+    if (rejected > 0) {
+      parts.push(`${rejected.toLocaleString()} rejected (digest mismatch)`);
+    }
+
+    showMessage(
+      elements.auditMessage,
+      rejected > 0 ? "error" : "success",
+      parts.join(", ")
+    );
+    elements.auditImportFile.value = "";
+  } catch (error) {
+    console.error("Failed to import screening log:", error);
+    showMessage(
+      elements.auditMessage,
+      "error",
+      "Failed to import screening log: " + error.message
+    );
+  } finally {
+    elements.importLogBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle save of the idle time before the extension locks
+ */
+async function handleSaveIdleMinutes(e) {
+  e.preventDefault();
+
+  const minutes = Number(elements.idleMinutes.value);
+  if (
+    !Number.isInteger(minutes) ||
+    minutes < MIN_IDLE_MINUTES ||
+    minutes > MAX_IDLE_MINUTES
+  ) {
+    showMessage(
+      elements.protectionMessage,
+      "error",
+      `Idle time must be a whole number of minutes from ${MIN_IDLE_MINUTES} to ${MAX_IDLE_MINUTES}.`
+    );
+    return;
+  }
+
+  elements.saveProtectionBtn.disabled = true;
+
+  try {
+    await setIdleMinutes(minutes);
+    showMessage(elements.protectionMessage, "success", "Idle time saved");
+  } catch (error) {
+    console.error("Failed to save idle time:", error);
+    showMessage(
+      elements.protectionMessage,
+      "error",
+      "Failed to save idle time: " + error.message
+    );
+  } finally {
+    elements.saveProtectionBtn.disabled = false;
+  }
+}
+
+/**
+ * Lock customer data now; other open extension pages lock at their next check
+ */
+async function handleLockNow() {
+  await lockVault();
+  await requireUnlock();
+}
+
+/**
+ * Change the passphrase and re-encrypt search history with it
+ */
+async function handleChangePassphrase() {
+  const next = elements.newPassphrase.value;
+
+  if (next.length < MIN_PASSPHRASE_LENGTH) {
+    showMessage(
+      elements.protectionMessage,
+      "error",
+      `The new passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`
+    );
+    return;
+  }
+
+  if (next !== elements.confirmPassphrase.value) {
+    showMessage(
+      elements.protectionMessage,
+      "error",
+      "The new passphrases do not match."
+    );
+    return;
+  }
+
+  elements.changePassphraseBtn.disabled = true;
+
+  try {
+    const previousKey = await checkPassphrase(elements.currentPassphrase.value);
+    if (!previousKey) {
+      showMessage(
+        elements.protectionMessage,
+        "error",
+        "The current passphrase is incorrect."
+      );
+      return;
+    }
+
+    const { key, config } = await createVaultKey(next);
+    await saveVault(config, key, previousKey);
+    const count = await finishHistoryEncryption();
+
+    elements.currentPassphrase.value = "";
+    elements.newPassphrase.value = "";
+    elements.confirmPassphrase.value = "";
+    showMessage(
+      elements.protectionMessage,
+      "success",
+      `Passphrase changed and ${count.toLocaleString()} record${
+        count === 1 ? "" : "s"
+      } re-encrypted`
+    );
+  } catch (error) {
+    console.error("Failed to change passphrase:", error);
+    showMessage(
+      elements.protectionMessage,
+      "error",
+      "Failed to change passphrase: " + error.message
+    );
+  } finally {
+    elements.changePassphraseBtn.disabled = false;
+  }
+}
+
+/**
+ * Show a status message below a form
+ * @param {HTMLElement} target - Message element
+ * @param {string} type - "success", "error" or ""
+ * @param {string} text - Message text
+ */
+function showMessage(target, type, text) {
+  target.className = "options-message " + type;
+  target.textContent = text;
+}
+
+/**
+ * Format date and time
+ */
+function formatDateTime(date) {
+  return date.toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", init);
@@ -1,17 +1,47 @@
 /**
  * OFAC Compliance Search Chrome Extension
  * Main Popup JavaScript
+ * Also drives the full-page workspace (workspace.html), which shares the
+ * popup's element IDs and adds the match comparison panel and history browser
  */
 
-import { searchSDN, calculateNameSimilarity } from "./utils/fuzzy-search.js";
+import {
+  calculateNameSimilarity,
+  ALGORITHM_VERSION,
+  ADDRESS_MATCH_SCORE,
+  DEFAULT_MATCH_THRESHOLD,
+  DEFAULT_SCORING_WEIGHTS,
+} from "./utils/fuzzy-search.js";
+import { startSearch, startBatch } from "./utils/search-client.js";
+import { parseBatchCSV } from "./utils/batch.js";
+import { DISPOSITIONS, getReviewStatus } from "./utils/disposition.js";
+import {
+  SANCTIONS_LISTS,
+  formatPublishDate,
+  getListShortName,
+  getListsSearched,
+  getListPublishDates,
+} from "./utils/sanctions-lists.js";
+import { sealRecord } from "./utils/integrity.js";
+import {
+  buildCertificateHTML,
+  buildCertificatePDF,
+  buildReviewRecordHTML,
+  buildReviewRecordPDF,
+  getReportFileName,
+} from "./utils/reports.js";
+import { downloadPDF } from "./utils/pdf.js";
+import { requireUnlock, watchIdle } from "./utils/unlock.js";
+import { touchVault } from "./utils/vault.js";
 import {
   initDB,
-  getAllSDNEntries,
   saveSearchHistory,
+  saveMatchDisposition,
   getSearchHistory,
-  clearSearchHistory,
+  querySearchHistory,
   getSetting,
   getSDNCount,
+  getListEntryCount,
 } from "./utils/storage.js";
 
 // DOM Elements
@@ -28,6 +58,8 @@ const elements = {
   state: document.getElementById("state"),
   country: document.getElementById("country"),
   searchType: document.getElementById("searchType"),
+  storeGroup: document.getElementById("storeGroup"),
+  storeProfile: document.getElementById("storeProfile"),
   searchBtn: document.getElementById("searchBtn"),
 
   // Toggle
@@ -44,16 +76,46 @@ const elements = {
   resultsContent: document.getElementById("resultsContent"),
   clearResults: document.getElementById("clearResults"),
 
+  // Match comparison (workspace only)
+  compareSection: document.getElementById("compareSection"),
+  compareContent: document.getElementById("compareContent"),
+  clearCompare: document.getElementById("clearCompare"),
+
+  // Batch screening
+  toggleBatch: document.getElementById("toggleBatch"),
+  batchPanel: document.getElementById("batchPanel"),
+  batchFile: document.getElementById("batchFile"),
+  runBatchBtn: document.getElementById("runBatchBtn"),
+  batchResults: document.getElementById("batchResults"),
+
   // Loading
   loadingOverlay: document.getElementById("loadingOverlay"),
+  loaderText: document.getElementById("loaderText"),
+  cancelSearchBtn: document.getElementById("cancelSearchBtn"),
 
   // History
   historySection: document.getElementById("historySection"),
   historyList: document.getElementById("historyList"),
-  clearHistory: document.getElementById("clearHistory"),
+  viewAllHistory: document.getElementById("viewAllHistory"),
+
+  // History browser (workspace only)
+  historyFilters: document.getElementById("historyFilters"),
+  historyName: document.getElementById("historyName"),
+  historyFrom: document.getElementById("historyFrom"),
+  historyTo: document.getElementById("historyTo"),
+  historyResult: document.getElementById("historyResult"),
+  historyPrev: document.getElementById("historyPrev"),
+  historyNext: document.getElementById("historyNext"),
+  historyPageInfo: document.getElementById("historyPageInfo"),
+  historyDetailSection: document.getElementById("historyDetailSection"),
+  historyDetailContent: document.getElementById("historyDetailContent"),
+  clearHistoryDetail: document.getElementById("clearHistoryDetail"),
 
   // Footer
   updateDataBtn: document.getElementById("updateDataBtn"),
+  settingsBtn: document.getElementById("settingsBtn"),
+  openWorkspaceBtn: document.getElementById("openWorkspaceBtn"),
+  verifyCertBtn: document.getElementById("verifyCertBtn"),
   entryCount: document.getElementById("entryCount"),
   lastUpdate: document.getElementById("lastUpdate"),
 
@@ -73,12 +135,36 @@ const elements = {
 };
 
 // Constants
+// Kept in session storage (memory only) since it holds customer details
 const FORM_CACHE_KEY = "ofac_form_data";
 const FORM_CACHE_DURATION_MS = 10 * 60 * 1000; // 10 minutes
+const REVIEWER_KEY = "ofac_reviewer_name";
+const STORE_KEY = "ofac_store_profile";
+const IS_WORKSPACE = document.body.classList.contains("workspace-page");
+const HISTORY_LIMIT = 5; // Popup shows the most recent searches
+const HISTORY_PAGE_SIZE = 25; // Workspace history browser page
+const UNDECRYPTABLE_MESSAGE =
+  "The customer details of this screening cannot be decrypted with the current passphrase.";
+
+// History badge labels per review status
+const REVIEW_STATUS_LABELS = {
+  passed: "Passed",
+  pending: "Match",
+  false_positive: "False Positive",
+  escalated: "Escalated",
+  confirmed: "Confirmed",
+};
 
 // State
-let sdnEntries = [];
+let entryCount = 0;
 let currentSearchResult = null;
+let activeSearch = null;
+let batchRun = null;
+let batchSort = { key: "row", direction: "asc" };
+let storeProfiles = [];
+let historyRecords = [];
+let historyPage = 0;
+let selectedHistoryRecord = null;
 
 /**
  * Initialize the popup
@@ -86,10 +172,13 @@ let currentSearchResult = null;
 async function init() {
   try {
     await initDB();
+    await requireUnlock();
     await loadDataStatus();
     await loadHistory();
-    loadCachedFormData(); // Restore form data if cached
+    await loadStoreProfiles();
+    await loadCachedFormData(); // Restore form data if cached
     setupEventListeners();
+    watchIdle(loadHistory);
   } catch (error) {
     console.error("Failed to initialize:", error);
     showStatus("error", "Failed to load");
@@ -106,14 +195,70 @@ function setupEventListeners() {
   // Advanced fields toggle
   elements.toggleAdvanced.addEventListener("click", toggleAdvancedFields);
 
+  // Remember the issuing store for the next screening
+  elements.storeProfile.addEventListener("change", () => {
+    localStorage.setItem(STORE_KEY, elements.storeProfile.value);
+  });
+
+  // Batch screening
+  elements.toggleBatch.addEventListener("click", toggleBatchPanel);
+  elements.runBatchBtn.addEventListener("click", handleRunBatch);
+  elements.batchResults.addEventListener("click", handleBatchResultsClick);
+
   // Clear buttons
   elements.clearResults.addEventListener("click", clearResults);
-  elements.clearHistory.addEventListener("click", handleClearHistory);
   elements.clearFormBtn.addEventListener("click", handleClearForm);
+  elements.cancelSearchBtn.addEventListener("click", handleCancelSearch);
 
   // Update data button
   elements.updateDataBtn.addEventListener("click", handleUpdateData);
 
+  // Settings button
+  elements.settingsBtn.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Verify certificate button
+  elements.verifyCertBtn.addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("verify.html") });
+  });
+
+  // Workspace button (popup only)
+  if (elements.openWorkspaceBtn) {
+    elements.openWorkspaceBtn.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("workspace.html") });
+      window.close();
+    });
+  }
+
+  // Match comparison close button (workspace only)
+  if (elements.clearCompare) {
+    elements.clearCompare.addEventListener("click", clearComparison);
+  }
+
+  // View all history button (popup only)
+  if (elements.viewAllHistory) {
+    elements.viewAllHistory.addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("workspace.html") });
+      window.close();
+    });
+  }
+
+  // History browser (workspace only)
+  if (elements.historyFilters) {
+    elements.historyFilters.addEventListener("input", handleHistoryFilter);
+    elements.historyFilters.addEventListener("submit", (e) =>
+      e.preventDefault()
+    );
+    elements.historyPrev.addEventListener("click", () => changeHistoryPage(-1));
+    elements.historyNext.addEventListener("click", () => changeHistoryPage(1));
+    elements.historyDetailContent.addEventListener(
+      "click",
+      handleHistoryDetailClick
+    );
+    elements.clearHistoryDetail.addEventListener("click", clearHistoryDetail);
+  }
+
   // Auto-save form data on input
   const formInputs = elements.searchForm.querySelectorAll("input, select");
   formInputs.forEach((input) => {
@@ -121,11 +266,25 @@ function setupEventListeners() {
     input.addEventListener("change", saveFormDataToCache);
   });
 
-  // Event delegation for dynamically created print button
+  // Event delegation for dynamically created print and compare buttons
   elements.resultsContent.addEventListener("click", (e) => {
     if (e.target.closest("#printCertBtn")) {
       printCertificate();
     }
+
+    if (e.target.closest("#downloadPdfBtn")) {
+      downloadCertificatePDF();
+    }
+
+    const dispositionBtn = e.target.closest(".disposition-save-btn");
+    if (dispositionBtn) {
+      handleSaveDisposition(dispositionBtn.closest(".disposition"));
+    }
+
+    const compareBtn = e.target.closest(".compare-btn");
+    if (compareBtn) {
+      showComparison(currentSearchResult.matches[compareBtn.dataset.match]);
+    }
   });
 }
 
@@ -150,9 +309,9 @@ async function loadDataStatus() {
     if (response && response.success) {
       updateStatusDisplay(response);
 
-      // Load SDN entries if available
+      // Count SDN entries if available
       if (response.entryCount > 0) {
-        await loadSDNEntries();
+        await loadEntryCount();
       } else if (response.needsUpdate) {
         showStatus("updating", "Downloading data...");
         await handleUpdateData();
@@ -167,17 +326,18 @@ async function loadDataStatus() {
 }
 
 /**
- * Load SDN entries from storage
+ * Count the SDN entries in storage
+ * Entries themselves are loaded per search, from the search index
  */
-async function loadSDNEntries() {
+async function loadEntryCount() {
   try {
-    sdnEntries = await getAllSDNEntries();
+    entryCount = await getSDNCount();
 
-    if (sdnEntries.length > 0) {
-      showStatus("ready", `${sdnEntries.length.toLocaleString()} entries`);
+    if (entryCount > 0) {
+      showStatus("ready", `${entryCount.toLocaleString()} entries`);
     }
   } catch (error) {
-    console.error("Failed to load SDN entries:", error);
+    console.error("Failed to count SDN entries:", error);
   }
 }
 
@@ -186,6 +346,12 @@ async function loadSDNEntries() {
  */
 function updateStatusDisplay(status) {
   elements.entryCount.textContent = (status.entryCount || 0).toLocaleString();
+  elements.entryCount.title = (status.lists || [])
+    .map(
+      (list) =>
+        `${list.shortName}: ${(list.entryCount || 0).toLocaleString()} entries`
+    )
+    .join("\n");
 
   if (status.lastUpdate) {
     const date = new Date(status.lastUpdate);
@@ -193,6 +359,12 @@ function updateStatusDisplay(status) {
   } else {
     elements.lastUpdate.textContent = "Never";
   }
+  elements.lastUpdate.title = (status.lists || [])
+    .map(
+      (list) =>
+        `${list.shortName} published ${formatPublishDate(list.publishDate)}`
+    )
+    .join("\n");
 
   if (status.updateStatus === "complete" && status.entryCount > 0) {
     showStatus("ready", `${status.entryCount.toLocaleString()} entries`);
@@ -232,6 +404,42 @@ function formatDate(date) {
   });
 }
 
+/**
+ * Get the lists that have entries loaded, with their entry counts
+ * @returns {Promise<Array<Object>>} - [{list, count}]
+ */
+async function getLoadedLists() {
+  const lists = [];
+  for (const list of SANCTIONS_LISTS) {
+    const count = await getListEntryCount(list.id);
+    if (count > 0) lists.push({ list, count });
+  }
+  return lists;
+}
+
+/**
+ * Warn before screening when a list has no entries loaded
+ * The screening would not cover that list
+ * @returns {Promise<boolean>} - False if the user chose not to continue
+ */
+async function confirmListsLoaded() {
+  const loaded = (await getLoadedLists()).map(({ list }) => list);
+  const missing = SANCTIONS_LISTS.filter((list) => !loaded.includes(list));
+
+  // With nothing loaded at all the search reports that no data is available
+  if (missing.length === 0 || loaded.length === 0) return true;
+
+  return confirm(
+    `No entries are loaded for: ${missing
+      .map((list) => list.name)
+      .join("; ")}.\n\nThe screening will not cover ${
+      missing.length > 1 ? "these lists" : "this list"
+    }, and the record will not list ${
+      missing.length > 1 ? "them" : "it"
+    } as searched. Update the data or import a list file in Settings first.\n\nScreen anyway?`
+  );
+}
+
 /**
  * Handle search form submission
  */
@@ -262,54 +470,444 @@ async function handleSearch(e) {
     return;
   }
 
+  // The page may have locked while idle; the result is saved encrypted
+  await requireUnlock();
+
+  if (!(await confirmListsLoaded())) return;
+
   // Show loading
   showLoading(true);
   elements.searchBtn.disabled = true;
 
   try {
-    // Ensure entries are loaded
-    if (sdnEntries.length === 0) {
-      await loadSDNEntries();
+    // Ensure entries are available
+    if (entryCount === 0) {
+      await loadEntryCount();
     }
 
-    if (sdnEntries.length === 0) {
+    if (entryCount === 0) {
       throw new Error("No SDN data available. Please update data first.");
     }
 
-    // Filter by type if specified
-    let entriesToSearch = sdnEntries;
-    if (searchParams.type && searchParams.type !== "all") {
-      entriesToSearch = sdnEntries.filter((e) => e.type === searchParams.type);
-    }
-
-    // Perform search
-    const matches = searchSDN(searchParams, entriesToSearch, 85);
+    // Perform search on the search worker with the firm-wide settings
+    const { threshold, weights } = await loadScoringSettings();
+    activeSearch = startSearch(searchParams, {
+      threshold,
+      weights,
+      onProgress: showSearchProgress,
+    });
 
-    // Display results
-    displayResults(searchParams, matches);
+    const { cancelled, matches } = await activeSearch.promise;
+    if (cancelled) return;
 
     // Save to history
-    await saveSearchHistory({
-      searchParams,
-      result: matches.length > 0 ? "POTENTIAL_MATCH" : "PASSED",
-      matchCount: matches.length,
+    const review = await saveScreening(searchParams, matches, {
+      threshold,
+      weights,
     });
 
+    // Display results
+    displayResults(searchParams, matches, threshold, review);
+
     // Refresh history display
     await loadHistory();
   } catch (error) {
     console.error("Search error:", error);
     alert("Search failed: " + error.message);
   } finally {
+    activeSearch = null;
+    showLoading(false);
+    elements.searchBtn.disabled = false;
+  }
+}
+
+/**
+ * Save a screening to search history, sealed with a reference ID and digest
+ * @param {Object} searchParams - Search parameters
+ * @param {Array} matches - Matches found
+ * @param {Object} settings - {threshold, weights} used for the search
+ * @param {Object} extra - Additional fields to store (e.g. batch source)
+ * The matched entries and the list version searched are kept with the record,
+ * so the result screen can be reproduced exactly later
+ * @returns {Promise<Object>} - {historyId, refId, digest, timestamp, store, listSnapshot, dispositions}
+ */
+async function saveScreening(searchParams, matches, settings, extra = {}) {
+  const store = getSelectedStore();
+
+  // Saving counts as activity, so a long batch does not lock part way through
+  await touchVault();
+
+  // Only lists with entries loaded were searched; the record must not claim
+  // the others
+  const listStatus = (await getSetting("listStatus")) || {};
+  const searchedLists = await getLoadedLists();
+  const listSnapshot = {
+    publishDate: await getSetting("publishDate"),
+    lastUpdate: await getSetting("lastUpdate"),
+    entryCount,
+    lists: searchedLists.map(({ list, count }) => ({
+      id: list.id,
+      name: list.name,
+      publishDate: listStatus[list.id]?.publishDate || null,
+      lastUpdate: listStatus[list.id]?.lastUpdate || null,
+      entryCount: count,
+      source: listStatus[list.id]?.source || null,
+      file: listStatus[list.id]?.file || null,
+    })),
+  };
+
+  const record = await sealRecord({
+    searchParams,
+    result: matches.length > 0 ? "POTENTIAL_MATCH" : "PASSED",
+    matchCount: matches.length,
+    matches,
+    threshold: settings.threshold,
+    weights: settings.weights,
+    listSnapshot,
+    algorithmVersion: ALGORITHM_VERSION,
+    ...(store && { store }),
+    ...extra,
+  });
+
+  const historyId = await saveSearchHistory(record);
+
+  return {
+    historyId,
+    refId: record.refId,
+    digest: record.digest,
+    timestamp: record.timestamp,
+    store: record.store || null,
+    listSnapshot,
+    dispositions: {},
+  };
+}
+
+/**
+ * Load store profiles into the issuing store picker
+ * The picker is only shown when there is more than one store to choose from
+ */
+async function loadStoreProfiles() {
+  storeProfiles = (await getSetting("storeProfiles")) || [];
+  const defaultId = await getSetting("defaultStoreProfileId");
+
+  elements.storeProfile.innerHTML = storeProfiles
+    .map(
+      (profile) =>
+        `<option value="${profile.id}">${escapeHtml(
+          profile.legalName
+        )}</option>`
+    )
+    .join("");
+
+  const lastUsed = localStorage.getItem(STORE_KEY);
+  const selected = [lastUsed, defaultId].find((id) =>
+    storeProfiles.some((profile) => profile.id === id)
+  );
+  if (selected) elements.storeProfile.value = selected;
+
+  elements.storeGroup.classList.toggle("show", storeProfiles.length > 1);
+}
+
+/**
+ * Get the store issuing the next screening
+ * Only the text fields are kept on the record; the logo is looked up from the
+ * profile when a certificate is printed
+ * @returns {Object|null} - {id, legalName, address, officerName, officerTitle}
+ */
+function getSelectedStore() {
+  const profile = storeProfiles.find(
+    (p) => p.id === elements.storeProfile.value
+  );
+  if (!profile) return null;
+
+  return {
+    id: profile.id,
+    legalName: profile.legalName,
+    address: profile.address,
+    officerName: profile.officerName,
+    officerTitle: profile.officerTitle,
+  };
+}
+
+/**
+ * Show search progress in the loading overlay
+ */
+function showSearchProgress(scored, total) {
+  elements.loaderText.textContent =
+    total > 0
+      ? `Searching... ${scored.toLocaleString()} of ${total.toLocaleString()}`
+      : "Searching...";
+}
+
+/**
+ * Handle cancel of a running search
+ */
+function handleCancelSearch() {
+  if (activeSearch) {
+    activeSearch.cancel();
+    elements.loaderText.textContent = "Cancelling...";
+  }
+}
+
+/**
+ * Toggle the batch screening panel
+ */
+function toggleBatchPanel() {
+  elements.batchPanel.classList.toggle("show");
+  elements.toggleBatch.classList.toggle("active");
+}
+
+/**
+ * Screen every customer row of the selected CSV file
+ */
+async function handleRunBatch() {
+  const file = elements.batchFile.files[0];
+  if (!file) {
+    alert("Please choose a CSV file to screen.");
+    return;
+  }
+
+  await requireUnlock();
+
+  if (!(await confirmListsLoaded())) return;
+
+  showLoading(true);
+  elements.loaderText.textContent = "Reading file...";
+  elements.runBatchBtn.disabled = true;
+  elements.searchBtn.disabled = true;
+
+  try {
+    const rows = parseBatchCSV(await file.text());
+    if (rows.length === 0) {
+      throw new Error("No rows with a first or last name were found.");
+    }
+
+    // Ensure entries are available
+    if (entryCount === 0) {
+      await loadEntryCount();
+    }
+
+    if (entryCount === 0) {
+      throw new Error("No SDN data available. Please update data first.");
+    }
+
+    const settings = await loadScoringSettings();
+    activeSearch = startBatch(
+      rows.map((row) => row.searchParams),
+      {
+        ...settings,
+        onProgress: showBatchProgress,
+      }
+    );
+
+    const { cancelled, results } = await activeSearch.promise;
+    if (cancelled) return;
+
+    batchRun = {
+      fileName: file.name,
+      threshold: settings.threshold,
+      rows: rows.map((row, i) => ({
+        ...row,
+        matches: results[i],
+        topScore: results[i].length > 0 ? results[i][0].score : 0,
+      })),
+    };
+
+    // Save every row to history
+    for (const row of batchRun.rows) {
+      row.review = await saveScreening(
+        row.searchParams,
+        row.matches,
+        settings,
+        { source: "batch", batchFile: file.name }
+      );
+    }
+
+    renderBatchResults();
+    await loadHistory();
+  } catch (error) {
+    console.error("Batch screening error:", error);
+    alert("Batch screening failed: " + error.message);
+  } finally {
+    activeSearch = null;
     showLoading(false);
+    elements.runBatchBtn.disabled = false;
     elements.searchBtn.disabled = false;
   }
 }
 
+/**
+ * Show batch progress in the loading overlay
+ */
+function showBatchProgress(screened, total) {
+  elements.loaderText.textContent = `Screening ${screened.toLocaleString()} of ${total.toLocaleString()}...`;
+}
+
+/**
+ * Get the value a batch row is sorted by
+ */
+function getBatchSortValue(row, key) {
+  switch (key) {
+    case "name":
+      return [row.searchParams.lastName, row.searchParams.firstName]
+        .join(" ")
+        .toLowerCase();
+    case "dob":
+      return row.searchParams.dob || "";
+    case "status":
+      return row.matches.length > 0 ? 1 : 0;
+    case "score":
+      return row.topScore;
+    default:
+      return row.row;
+  }
+}
+
+/**
+ * Render the batch results table in the current sort order
+ */
+function renderBatchResults() {
+  if (!batchRun) {
+    elements.batchResults.innerHTML = "";
+    return;
+  }
+
+  const { key, direction } = batchSort;
+  const sign = direction === "asc" ? 1 : -1;
+  const rows = [...batchRun.rows].sort((a, b) => {
+    const va = getBatchSortValue(a, key);
+    const vb = getBatchSortValue(b, key);
+    if (va < vb) return -sign;
+    if (va > vb) return sign;
+    return a.row - b.row;
+  });
+
+  const matchCount = batchRun.rows.filter((r) => r.matches.length > 0).length;
+  const invalidDobCount = batchRun.rows.filter((r) => r.invalidDob).length;
+
+  const columns = [
+    { key: "row", label: "#" },
+    { key: "name", label: "Name" },
+    { key: "dob", label: "DOB" },
+    { key: "status", label: "Status" },
+    { key: "score", label: "Score" },
+  ];
+
+  const headerHtml = columns
+    .map(
+      (column) => `
+      <th data-sort="${column.key}" class="${
+        column.key === key ? `sorted ${direction}` : ""
+      }">${column.label}</th>
+    `
+    )
+    .join("");
+
+  const rowsHtml = rows
+    .map((row) => {
+      const name =
+        [
+          row.searchParams.firstName,
+          row.searchParams.middleName,
+          row.searchParams.lastName,
+        ]
+          .filter(Boolean)
+          .join(" ") || "Unknown";
+      const isPassed = row.matches.length === 0;
+
+      return `
+      <tr data-row="${row.row}">
+        <td>${row.row}</td>
+        <td>${escapeHtml(name)}</td>
+        <td>${
+          row.invalidDob
+            ? `<span class="batch-invalid" title="Not a date; screened by name only">Invalid: ${escapeHtml(
+                row.invalidDob
+              )}</span>`
+            : escapeHtml(row.searchParams.dob || "")
+        }</td>
+        <td><span class="batch-status ${isPassed ? "passed" : "match"}">${
+        isPassed ? "Passed" : `Match (${row.matches.length})`
+      }</span></td>
+        <td>${isPassed ? "-" : `${row.topScore}%`}</td>
+      </tr>
+    `;
+    })
+    .join("");
+
+  elements.batchResults.innerHTML = `
+    <p class="batch-summary">
+      <strong>${escapeHtml(batchRun.fileName)}</strong>:
+      ${batchRun.rows.length.toLocaleString()} screened,
+      ${matchCount.toLocaleString()} potential match${
+    matchCount === 1 ? "" : "es"
+  }${
+    invalidDobCount > 0
+      ? `, ${invalidDobCount.toLocaleString()} with an unreadable DOB (screened by name only)`
+      : ""
+  }
+    </p>
+    <table class="batch-table">
+      <thead><tr>${headerHtml}</tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Handle clicks in the batch results table
+ * Headers change the sort order; rows open that customer's result
+ */
+function handleBatchResultsClick(e) {
+  const header = e.target.closest("th[data-sort]");
+  if (header) {
+    const key = header.dataset.sort;
+    batchSort = {
+      key,
+      direction:
+        batchSort.key === key && batchSort.direction === "asc" ? "desc" : "asc",
+    };
+    renderBatchResults();
+    return;
+  }
+
+  const tableRow = e.target.closest("tr[data-row]");
+  if (tableRow && batchRun) {
+    const row = batchRun.rows.find(
+      (r) => r.row === Number(tableRow.dataset.row)
+    );
+    displayResults(
+      row.searchParams,
+      row.matches,
+      batchRun.threshold,
+      row.review
+    );
+    elements.resultsSection.scrollIntoView({ behavior: "smooth" });
+  }
+}
+
+/**
+ * Load the match threshold and scoring weights set on the settings page
+ * @returns {Promise<Object>} - {threshold, weights}
+ */
+async function loadScoringSettings() {
+  const threshold = await getSetting("matchThreshold");
+  const weights = await getSetting("scoringWeights");
+
+  return {
+    threshold: threshold ?? DEFAULT_MATCH_THRESHOLD,
+    weights: { ...DEFAULT_SCORING_WEIGHTS, ...weights },
+  };
+}
+
 /**
  * Display search results
+ * @param {Object} searchParams - Search parameters
+ * @param {Array} matches - Matches found
+ * @param {number} threshold - Match threshold used
+ * @param {Object} review - The saved search (see saveScreening)
  */
-function displayResults(searchParams, matches) {
+function displayResults(searchParams, matches, threshold, review = {}) {
   elements.resultsSection.classList.add("show");
 
   const fullName = [
@@ -335,9 +933,18 @@ function displayResults(searchParams, matches) {
     matches,
     fullName,
     fullAddress,
-    timestamp: new Date(),
+    threshold,
+    historyId: review.historyId,
+    refId: review.refId,
+    digest: review.digest,
+    store: review.store || null,
+    listSnapshot: review.listSnapshot || null,
+    dispositions: review.dispositions || {},
+    timestamp: review.timestamp ? new Date(review.timestamp) : new Date(),
   };
 
+  clearComparison();
+
   if (matches.length === 0) {
     // PASSED - No matches found
     elements.resultsContent.innerHTML = `
@@ -353,7 +960,7 @@ function displayResults(searchParams, matches) {
           <p><strong>Name Searched:</strong> ${escapeHtml(fullName)}</p>
           ${
             searchParams.dob
-              ? `<p><strong>DOB:</strong> ${searchParams.dob}</p>`
+              ? `<p><strong>DOB:</strong> ${escapeHtml(searchParams.dob)}</p>`
               : ""
           }
           ${
@@ -368,8 +975,19 @@ function displayResults(searchParams, matches) {
                 )}</p>`
               : ""
           }
-          <p><strong>Entries Searched:</strong> ${sdnEntries.length.toLocaleString()}</p>
-          <p><strong>Search Time:</strong> ${formatDateTime(new Date())}</p>
+          <p><strong>Lists Searched:</strong> ${escapeHtml(
+            getListsSearched(currentSearchResult.listSnapshot).join("; ")
+          )}</p>
+          <p><strong>Entries Searched:</strong> ${getEntriesSearched().toLocaleString()}</p>
+          <p><strong>Match Threshold:</strong> ${threshold}%</p>
+          <p><strong>Search Time:</strong> ${formatDateTime(
+            currentSearchResult.timestamp
+          )}</p>
+          ${
+            review.refId
+              ? `<p><strong>Reference ID:</strong> ${review.refId}</p>`
+              : ""
+          }
         </div>
         <div class="result-actions">
           <button type="button" class="print-btn" id="printCertBtn">
@@ -380,6 +998,14 @@ function displayResults(searchParams, matches) {
             </svg>
             Print Certificate
           </button>
+          <button type="button" class="print-btn" id="downloadPdfBtn">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+              <polyline points="7 10 12 15 17 10"/>
+              <line x1="12" y1="15" x2="12" y2="3"/>
+            </svg>
+            Download PDF
+          </button>
         </div>
       </div>
     `;
@@ -387,7 +1013,7 @@ function displayResults(searchParams, matches) {
     // POTENTIAL MATCHES found
     const matchHtml = matches
       .map(
-        (match) => `
+        (match, i) => `
       <div class="match-entry">
         <div class="match-entry-header">
           <span class="match-entry-name">${escapeHtml(
@@ -395,25 +1021,53 @@ function displayResults(searchParams, matches) {
           )}</span>
           <span class="match-score">${match.score}% Match</span>
         </div>
+        ${
+          match.matchedAlias
+            ? `<div class="match-entry-alias">Matched alias: <strong>${escapeHtml(
+                match.matchedName
+              )}</strong></div>`
+            : ""
+        }
         <div class="match-entry-details">
-          <span><strong>Type:</strong> ${match.entry.type || "N/A"}</span>
-          <span><strong>DOB:</strong> ${match.entry.dob || "N/A"}</span>
-          <span><strong>Programs:</strong> ${
+          <span><strong>List:</strong> ${escapeHtml(
+            getListShortName(match.entry.list)
+          )}</span>
+          <span><strong>Type:</strong> ${escapeHtml(
+            match.entry.type || "N/A"
+          )}</span>
+          <span><strong>DOB:</strong> ${escapeHtml(
+            match.entry.dob || "N/A"
+          )}</span>
+          <span><strong>Programs:</strong> ${escapeHtml(
             match.entry.programs?.join(", ") || "N/A"
-          }</span>
-          <span><strong>Country:</strong> ${match.entry.country || "N/A"}</span>
+          )}</span>
+          <span><strong>Country:</strong> ${escapeHtml(
+            match.entry.country || "N/A"
+          )}</span>
         </div>
         ${
           match.details.length > 0
             ? `
           <div class="match-entry-details" style="margin-top: 8px;">
-            <span><strong>Match Details:</strong> ${match.details.join(
-              "; "
+            <span><strong>Match Details:</strong> ${escapeHtml(
+              match.details.join("; ")
             )}</span>
           </div>
         `
             : ""
         }
+        ${renderDisposition(match)}
+        ${
+          elements.compareContent
+            ? `
+          <div class="match-entry-actions">
+            <button type="button" class="clear-btn small compare-btn" data-match="${i}">
+              Compare
+            </button>
+          </div>
+        `
+            : ""
+        }
       </div>
     `
       )
@@ -433,16 +1087,257 @@ function displayResults(searchParams, matches) {
         </div>
         <div class="result-details">
           <p><strong>Name Searched:</strong> ${escapeHtml(fullName)}</p>
+          <p><strong>Lists Searched:</strong> ${escapeHtml(
+            getListsSearched(currentSearchResult.listSnapshot).join("; ")
+          )}</p>
+          <p><strong>Match Threshold:</strong> ${threshold}%</p>
+          ${
+            review.refId
+              ? `<p><strong>Reference ID:</strong> ${review.refId}</p>`
+              : ""
+          }
           <p style="color: var(--warning); margin-top: 8px;">
-            ⚠️ Review required. Contact OFAC hotline if match is confirmed: <strong>1-800-540-6322</strong>
+            ⚠️ Review required. Record a disposition for each candidate below. Contact OFAC hotline if match is confirmed: <strong>1-800-540-6322</strong>
           </p>
         </div>
         ${matchHtml}
+        <div class="result-actions">
+          <button type="button" class="print-btn" id="printCertBtn">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="6 9 6 2 18 2 18 9"/>
+              <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
+              <rect x="6" y="14" width="12" height="8"/>
+            </svg>
+            Print Review Record
+          </button>
+          <button type="button" class="print-btn" id="downloadPdfBtn">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+              <polyline points="7 10 12 15 17 10"/>
+              <line x1="12" y1="15" x2="12" y2="3"/>
+            </svg>
+            Download PDF
+          </button>
+        </div>
       </div>
     `;
   }
 }
 
+/**
+ * Render the disposition controls for a potential match
+ * Shows the recorded disposition, if any, above the form to record or change it
+ * @param {Object} match - Match result from the search
+ * @returns {string} - HTML
+ */
+function renderDisposition(match) {
+  const recorded = currentSearchResult.dispositions[match.entry.uid];
+  const reviewer = recorded?.reviewer || localStorage.getItem(REVIEWER_KEY);
+
+  const options = Object.entries(DISPOSITIONS)
+    .map(
+      ([status, label]) =>
+        `<option value="${status}" ${
+          recorded?.status === status ? "selected" : ""
+        }>${label}</option>`
+    )
+    .join("");
+
+  return `
+    <div class="disposition" data-uid="${escapeAttr(match.entry.uid)}">
+      ${
+        recorded
+          ? `
+        <div class="disposition-recorded ${recorded.status}">
+          <strong>${DISPOSITIONS[recorded.status]}</strong>
+          - ${escapeHtml(recorded.reviewer)}, ${formatDateTime(
+              new Date(recorded.timestamp)
+            )}
+          <p>${escapeHtml(recorded.reason)}</p>
+        </div>
+      `
+          : ""
+      }
+      <div class="disposition-form">
+        <div class="form-group-row">
+          <div class="form-group">
+            <select class="disposition-status">
+              <option value="">Disposition...</option>
+              ${options}
+            </select>
+          </div>
+          <div class="form-group">
+            <input type="text" class="disposition-reviewer" placeholder="Reviewer name" value="${escapeAttr(
+              reviewer || ""
+            )}" autocomplete="off" />
+          </div>
+        </div>
+        <div class="form-group">
+          <textarea class="disposition-reason" rows="2" placeholder="Reason for this disposition (required)">${escapeHtml(
+            recorded?.reason || ""
+          )}</textarea>
+        </div>
+        <button type="button" class="clear-btn small disposition-save-btn">
+          ${recorded ? "Update Disposition" : "Record Disposition"}
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Save the disposition entered for a potential match
+ * @param {HTMLElement} container - The match's .disposition element
+ */
+async function handleSaveDisposition(container) {
+  const uid = container.dataset.uid;
+  const status = container.querySelector(".disposition-status").value;
+  const reviewer = container
+    .querySelector(".disposition-reviewer")
+    .value.trim();
+  const reason = container.querySelector(".disposition-reason").value.trim();
+
+  if (!status || !reviewer || !reason) {
+    alert("Please choose a disposition and enter your name and a reason.");
+    return;
+  }
+
+  const match = currentSearchResult.matches.find((m) => m.entry.uid === uid);
+
+  try {
+    const disposition = await saveMatchDisposition(
+      currentSearchResult.historyId,
+      uid,
+      { status, reason, reviewer, entryName: match.entry.fullName }
+    );
+
+    currentSearchResult.dispositions[uid] = disposition;
+    localStorage.setItem(REVIEWER_KEY, reviewer);
+
+    container.outerHTML = renderDisposition(match);
+    await loadHistory();
+  } catch (error) {
+    console.error("Failed to save disposition:", error);
+    alert("Failed to save disposition: " + error.message);
+  }
+}
+
+/**
+ * Show a match side by side with the searched customer (workspace only)
+ * @param {Object} match - Match result from the search
+ */
+function showComparison(match) {
+  if (!elements.compareContent || !match) return;
+
+  const { searchParams, fullName, fullAddress } = currentSearchResult;
+  const entry = match.entry;
+
+  const sdnAddress = entry.addresses?.length
+    ? entry.addresses
+        .map((addr) =>
+          [addr.address, addr.city, addr.state, addr.postalCode, addr.country]
+            .filter(Boolean)
+            .join(", ")
+        )
+        .join("; ")
+    : [entry.address, entry.city, entry.state, entry.country]
+        .filter(Boolean)
+        .join(", ");
+
+  // Agreement is only shown where both sides have a value to compare
+  const rows = [
+    {
+      label: "Name",
+      searched: fullName,
+      sdn: match.matchedAlias
+        ? `${match.matchedName} (alias of ${entry.fullName})`
+        : entry.fullName,
+      agree: match.nameScore >= currentSearchResult.threshold,
+    },
+    {
+      label: "Date of Birth",
+      searched: searchParams.dob,
+      sdn: entry.dob?.split(";").join("; "),
+      agree: match.dobMatch,
+    },
+    {
+      label: "Address",
+      searched: fullAddress,
+      sdn: sdnAddress,
+      agree: match.addressScore >= ADDRESS_MATCH_SCORE,
+    },
+    {
+      label: "ID Number",
+      searched: searchParams.idNumber,
+      sdn: entry.ids
+        ?.map((id) =>
+          id.type === "ID" ? id.number : `${id.type} ${id.number}`
+        )
+        .join("; "),
+      agree: match.idMatch,
+    },
+    {
+      label: "Type",
+      searched: searchParams.type === "all" ? "" : searchParams.type,
+      sdn: entry.type,
+      agree: searchParams.type === entry.type,
+    },
+    {
+      label: "Aliases",
+      searched: "",
+      sdn: entry.aliases?.map((alias) => alias.fullName).join("; "),
+    },
+    { label: "Nationality", searched: "", sdn: entry.nationality },
+    { label: "Programs", searched: "", sdn: entry.programs?.join(", ") },
+    { label: "List", searched: "", sdn: getListShortName(entry.list) },
+  ];
+
+  const rowsHtml = rows
+    .map((row) => {
+      const comparable = row.searched && row.sdn && row.agree !== undefined;
+      const rowClass = comparable ? (row.agree ? "agree" : "differ") : "";
+
+      return `
+      <tr class="${rowClass}">
+        <td class="compare-label">${row.label}</td>
+        <td>${escapeHtml(row.searched || "-")}</td>
+        <td>${escapeHtml(row.sdn || "-")}</td>
+      </tr>
+    `;
+    })
+    .join("");
+
+  elements.compareContent.innerHTML = `
+    <p class="compare-score">
+      <strong>${match.score}%</strong> overall (name ${match.nameScore}%)
+      ${
+        match.details.length > 0
+          ? ` - ${escapeHtml(match.details.join("; "))}`
+          : ""
+      }
+    </p>
+    <table class="compare-table">
+      <thead>
+        <tr><th>Field</th><th>Searched</th><th>List Entry</th></tr>
+      </thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+
+  elements.compareSection.classList.add("show");
+  elements.compareSection.scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Clear the match comparison (workspace only)
+ */
+function clearComparison() {
+  if (!elements.compareSection) return;
+
+  elements.compareSection.classList.remove("show");
+  elements.compareContent.innerHTML = "";
+}
+
 /**
  * Clear results
  */
@@ -450,49 +1345,83 @@ function clearResults() {
   elements.resultsSection.classList.remove("show");
   elements.resultsContent.innerHTML = "";
   currentSearchResult = null;
+  clearComparison();
 }
 
 /**
  * Load search history
+ * The popup lists the most recent searches; the workspace lists one page of
+ * the history browser's filtered results
  */
 async function loadHistory() {
   try {
-    const history = await getSearchHistory(5);
+    if (IS_WORKSPACE) {
+      const { records, total } = await querySearchHistory({
+        ...getHistoryFilters(),
+        offset: historyPage * HISTORY_PAGE_SIZE,
+        limit: HISTORY_PAGE_SIZE,
+      });
+
+      // Step back if the current page no longer exists (e.g. after a purge)
+      if (records.length === 0 && historyPage > 0) {
+        historyPage = Math.max(0, Math.ceil(total / HISTORY_PAGE_SIZE) - 1);
+        await loadHistory();
+        return;
+      }
 
-    if (history.length === 0) {
+      historyRecords = records;
+      renderHistoryPager(total);
+    } else {
+      historyRecords = await getSearchHistory(HISTORY_LIMIT);
+    }
+
+    if (selectedHistoryRecord) {
+      selectedHistoryRecord =
+        historyRecords.find((item) => item.id === selectedHistoryRecord.id) ||
+        selectedHistoryRecord;
+    }
+
+    if (historyRecords.length === 0) {
       elements.historyList.innerHTML = `
-        <div class="history-empty">No recent searches</div>
+        <div class="history-empty">${
+          IS_WORKSPACE && hasHistoryFilters()
+            ? "No searches match these filters"
+            : "No recent searches"
+        }</div>
       `;
       return;
     }
 
-    elements.historyList.innerHTML = history
-      .map((item) => {
-        const name =
-          [item.searchParams.firstName, item.searchParams.lastName]
-            .filter(Boolean)
-            .join(" ") || "Unknown";
+    elements.historyList.innerHTML = historyRecords
+      .map((item, index) => {
+        const name = item.undecryptable
+          ? "Unreadable record"
+          : [item.searchParams.firstName, item.searchParams.lastName]
+              .filter(Boolean)
+              .join(" ") || "Unknown";
 
         const date = new Date(item.timestamp);
-        const isPassed = item.result === "PASSED";
+        const status = getReviewStatus(item);
+        const isCleared = status === "passed" || status === "false_positive";
+        const isSelected = item.id === selectedHistoryRecord?.id;
 
         return `
-        <div class="history-item" data-search='${escapeAttr(
-          JSON.stringify(item.searchParams)
-        )}'>
+        <div class="history-item${
+          isSelected ? " selected" : ""
+        }" data-index="${index}">
           <div class="history-item-info">
             <span class="history-item-name">${escapeHtml(name)}</span>
             <span class="history-item-date">${formatDateTime(date)}</span>
           </div>
-          <div class="history-item-status ${isPassed ? "passed" : "match"}">
+          <div class="history-item-status ${status}">
             ${
-              isPassed
+              isCleared
                 ? `
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
                 <polyline points="22 4 12 14.01 9 11.01"/>
               </svg>
-              Passed
+              ${REVIEW_STATUS_LABELS[status]}
             `
                 : `
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -500,7 +1429,7 @@ async function loadHistory() {
                 <line x1="12" y1="8" x2="12" y2="12"/>
                 <line x1="12" y1="16" x2="12.01" y2="16"/>
               </svg>
-              Match
+              ${REVIEW_STATUS_LABELS[status]}
             `
             }
           </div>
@@ -512,8 +1441,20 @@ async function loadHistory() {
     // Add click handlers to history items
     elements.historyList.querySelectorAll(".history-item").forEach((item) => {
       item.addEventListener("click", () => {
-        const searchParams = JSON.parse(item.dataset.search);
-        fillFormFromHistory(searchParams);
+        const record = historyRecords[Number(item.dataset.index)];
+        if (IS_WORKSPACE) {
+          showHistoryDetail(record);
+        } else if (record.undecryptable) {
+          alert(UNDECRYPTABLE_MESSAGE);
+        } else if (record.matches) {
+          // Saved with its matches: show the original result screen
+          reopenHistoryRecord(record).catch((error) => {
+            console.error("Failed to re-open screening:", error);
+            alert("Failed to re-open screening: " + error.message);
+          });
+        } else {
+          fillFormFromHistory(record.searchParams);
+        }
       });
     });
   } catch (error) {
@@ -521,6 +1462,287 @@ async function loadHistory() {
   }
 }
 
+/**
+ * Get the history browser filters
+ * Dates are whole local days, converted to the ISO timestamps stored on records
+ * @returns {Object} - {from, to, result, name}
+ */
+function getHistoryFilters() {
+  const from = elements.historyFrom.value;
+  const to = elements.historyTo.value;
+
+  return {
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+    result: elements.historyResult.value || undefined,
+    name: elements.historyName.value.trim() || undefined,
+  };
+}
+
+/**
+ * Check whether any history browser filter is set
+ * @returns {boolean}
+ */
+function hasHistoryFilters() {
+  return Object.values(getHistoryFilters()).some(Boolean);
+}
+
+/**
+ * Handle a change to the history browser filters
+ */
+function handleHistoryFilter() {
+  historyPage = 0;
+  loadHistory();
+}
+
+/**
+ * Move to the previous or next page of history
+ * @param {number} step - -1 or 1
+ */
+function changeHistoryPage(step) {
+  historyPage = Math.max(0, historyPage + step);
+  loadHistory();
+  elements.historyList.scrollTop = 0;
+}
+
+/**
+ * Render the history browser page count and buttons
+ * @param {number} total - Number of records matching the filters
+ */
+function renderHistoryPager(total) {
+  const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  elements.historyPageInfo.textContent = `Page ${
+    historyPage + 1
+  } of ${pages} (${total.toLocaleString()} ${
+    total === 1 ? "record" : "records"
+  })`;
+  elements.historyPrev.disabled = historyPage === 0;
+  elements.historyNext.disabled = historyPage >= pages - 1;
+}
+
+/**
+ * Show a saved screening in the history detail panel
+ * @param {Object} record - Search history record
+ */
+function showHistoryDetail(record) {
+  selectedHistoryRecord = record;
+
+  elements.historyList.querySelectorAll(".history-item").forEach((item) => {
+    item.classList.toggle(
+      "selected",
+      historyRecords[Number(item.dataset.index)] === record
+    );
+  });
+
+  const { searchParams } = record;
+  const fullName = [
+    searchParams.firstName,
+    searchParams.middleName,
+    searchParams.lastName,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const fullAddress = [
+    searchParams.address,
+    searchParams.city,
+    searchParams.state,
+    searchParams.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const status = getReviewStatus(record);
+  const resultText =
+    record.matchCount > 0
+      ? `${REVIEW_STATUS_LABELS[status]} (${record.matchCount} potential)`
+      : REVIEW_STATUS_LABELS[status];
+  const dispositions = Object.values(record.dispositions || {});
+
+  elements.historyDetailContent.innerHTML = `
+    <div class="result-details">
+      ${
+        record.undecryptable
+          ? `<p class="lock-warning">${UNDECRYPTABLE_MESSAGE}</p>`
+          : ""
+      }
+      <p><strong>Reference ID:</strong> ${escapeHtml(record.refId || "N/A")}</p>
+      ${
+        record.digest
+          ? `<p><strong>Digest:</strong> <span class="history-detail-digest">${escapeHtml(
+              record.digest
+            )}</span></p>`
+          : ""
+      }
+      <p><strong>Screened:</strong> ${formatDateTime(
+        new Date(record.timestamp)
+      )}</p>
+      <p><strong>Result:</strong> ${resultText}</p>
+      <p><strong>Name Searched:</strong> ${escapeHtml(fullName || "N/A")}</p>
+      <p><strong>DOB:</strong> ${escapeHtml(
+        searchParams.dob || "Not provided"
+      )}</p>
+      <p><strong>Address:</strong> ${escapeHtml(
+        fullAddress || "Not provided"
+      )}</p>
+      <p><strong>ID Number:</strong> ${escapeHtml(
+        searchParams.idNumber || "Not provided"
+      )}</p>
+      <p><strong>Lists Searched:</strong> ${escapeHtml(
+        getListsSearched(record.listSnapshot).join("; ")
+      )}</p>
+      <p><strong>List Published:</strong> ${escapeHtml(
+        getListPublishDates(record.listSnapshot).join("; ")
+      )}</p>
+      <p><strong>Match Threshold:</strong> ${record.threshold ?? "N/A"}%</p>
+      ${
+        record.batchFile
+          ? `<p><strong>Batch File:</strong> ${escapeHtml(
+              record.batchFile
+            )}</p>`
+          : ""
+      }
+      ${
+        record.store
+          ? `<p><strong>Issued By:</strong> ${escapeHtml(
+              record.store.legalName
+            )}</p>`
+          : ""
+      }
+      ${dispositions
+        .map(
+          (disposition) => `
+        <p><strong>${escapeHtml(disposition.entryName)}:</strong>
+        ${DISPOSITIONS[disposition.status]} by ${escapeHtml(
+            disposition.reviewer
+          )}, ${formatDateTime(new Date(disposition.timestamp))}</p>
+      `
+        )
+        .join("")}
+    </div>
+    ${
+      record.undecryptable
+        ? ""
+        : `<div class="history-detail-actions">
+      <button type="button" class="print-btn" data-action="reopen">
+        Re-open Results
+      </button>
+      <button type="button" class="print-btn" data-action="reprint">
+        ${
+          record.matchCount > 0
+            ? "Reprint Review Record"
+            : "Reprint Certificate"
+        }
+      </button>
+    </div>`
+    }
+    <p class="history-detail-note" id="historyDetailNote"></p>
+  `;
+
+  elements.historyDetailSection.classList.add("show");
+  elements.historyDetailSection.scrollIntoView({ behavior: "smooth" });
+}
+
+/**
+ * Close the history detail panel
+ */
+function clearHistoryDetail() {
+  if (!elements.historyDetailSection) return;
+
+  selectedHistoryRecord = null;
+  elements.historyDetailSection.classList.remove("show");
+  elements.historyDetailContent.innerHTML = "";
+  elements.historyList
+    .querySelectorAll(".history-item.selected")
+    .forEach((item) => item.classList.remove("selected"));
+}
+
+/**
+ * Handle the re-open and reprint buttons in the history detail panel
+ */
+async function handleHistoryDetailClick(e) {
+  const button = e.target.closest("[data-action]");
+  if (!button || !selectedHistoryRecord) return;
+
+  button.disabled = true;
+
+  try {
+    const shown = await reopenHistoryRecord(selectedHistoryRecord);
+    if (!shown) return;
+
+    if (button.dataset.action === "reprint") {
+      printCertificate();
+    } else {
+      elements.resultsSection.scrollIntoView({ behavior: "smooth" });
+    }
+  } catch (error) {
+    console.error("Failed to re-open screening:", error);
+    alert("Failed to re-open screening: " + error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Re-open a saved screening on the results screen, without saving a new one
+ * Screenings are shown with the matches saved on the record. Older records
+ * kept only the match count, so their potential matches are re-scored against
+ * the loaded list with the threshold and weights saved on the record
+ * @param {Object} record - Search history record
+ * @returns {Promise<boolean>} - Whether the results were shown
+ */
+async function reopenHistoryRecord(record) {
+  const settings = await loadScoringSettings();
+  const threshold = record.threshold ?? settings.threshold;
+  let matches = record.matches || [];
+
+  if (!record.matches && record.matchCount > 0) {
+    if (entryCount === 0) {
+      await loadEntryCount();
+    }
+
+    if (entryCount === 0) {
+      throw new Error("No SDN data available. Please update data first.");
+    }
+
+    showLoading(true);
+    try {
+      activeSearch = startSearch(record.searchParams, {
+        threshold,
+        weights: record.weights || settings.weights,
+        onProgress: showSearchProgress,
+      });
+
+      const result = await activeSearch.promise;
+      if (result.cancelled) return false;
+      matches = result.matches;
+    } finally {
+      activeSearch = null;
+      showLoading(false);
+    }
+  }
+
+  fillFormFromHistory(record.searchParams);
+  displayResults(record.searchParams, matches, threshold, {
+    historyId: record.id,
+    refId: record.refId,
+    digest: record.digest,
+    timestamp: record.timestamp,
+    store: record.store,
+    listSnapshot: record.listSnapshot,
+    dispositions: record.dispositions,
+  });
+
+  const note = document.getElementById("historyDetailNote");
+  if (note) {
+    note.textContent =
+      matches.length === record.matchCount
+        ? ""
+        : `Re-scoring against the current list found ${matches.length} potential match(es); ${record.matchCount} were found when the screening ran.`;
+  }
+
+  return true;
+}
+
 /**
  * Fill form from history item
  */
@@ -550,16 +1772,6 @@ function fillFormFromHistory(searchParams) {
   }
 }
 
-/**
- * Handle clear history
- */
-async function handleClearHistory() {
-  if (confirm("Clear all search history?")) {
-    await clearSearchHistory();
-    await loadHistory();
-  }
-}
-
 /**
  * Handle update data
  */
@@ -573,17 +1785,21 @@ async function handleUpdateData() {
     });
 
     if (response && response.success) {
-      await loadSDNEntries();
-      showStatus("ready", `${sdnEntries.length.toLocaleString()} entries`);
+      await loadEntryCount();
+      showStatus("ready", `${entryCount.toLocaleString()} entries`);
       elements.lastUpdate.textContent = "Just now";
-      elements.entryCount.textContent = sdnEntries.length.toLocaleString();
+      elements.entryCount.textContent = entryCount.toLocaleString();
     } else {
       throw new Error(response?.error || "Update failed");
     }
   } catch (error) {
     console.error("Update failed:", error);
     showStatus("error", "Update failed");
-    alert("Failed to update data: " + error.message);
+    alert(
+      "Failed to update data: " +
+        error.message +
+        "\n\nIf the download is blocked on this network, import a saved list file in Settings."
+    );
   } finally {
     elements.updateDataBtn.disabled = false;
   }
@@ -594,14 +1810,73 @@ async function handleUpdateData() {
  */
 function showLoading(show) {
   if (show) {
+    elements.loaderText.textContent = "Searching...";
     elements.loadingOverlay.classList.add("show");
   } else {
     elements.loadingOverlay.classList.remove("show");
   }
 }
 
+/**
+ * Gather the current search result for a certificate or review record
+ * @returns {Object} - {customer, search, status, candidates, store}
+ */
+function getReportData() {
+  const { searchParams, matches, fullName, fullAddress, threshold, timestamp } =
+    currentSearchResult;
+
+  return {
+    customer: {
+      fullName,
+      fullAddress,
+      dob: searchParams.dob,
+      idNumber: searchParams.idNumber,
+    },
+    search: {
+      refId: currentSearchResult.refId,
+      digest: currentSearchResult.digest,
+      searchTime: formatDateTime(timestamp),
+      listDate: getListPublishDates(currentSearchResult.listSnapshot).join(
+        "; "
+      ),
+      entriesSearched: getEntriesSearched().toLocaleString(),
+      lists: getListsSearched(currentSearchResult.listSnapshot),
+      threshold,
+    },
+    status: getReviewStatus({
+      result: matches.length > 0 ? "POTENTIAL_MATCH" : "PASSED",
+      matchCount: matches.length,
+      dispositions: currentSearchResult.dispositions,
+    }),
+    candidates: matches.map(getReviewCandidate),
+    store: getReportStore(currentSearchResult.store),
+  };
+}
+
+/**
+ * Get the number of list entries the current result was screened against
+ * Saved screenings keep the count from when they ran
+ * @returns {number}
+ */
+function getEntriesSearched() {
+  return currentSearchResult.listSnapshot?.entryCount ?? entryCount;
+}
+
+/**
+ * Get the issuing store for a report, with its current logo
+ * @param {Object|null} store - Store saved on the screening record
+ * @returns {Object|null}
+ */
+function getReportStore(store) {
+  if (!store) return null;
+
+  const profile = storeProfiles.find((p) => p.id === store.id);
+  return { ...store, logo: profile?.logo || null };
+}
+
 /**
  * Print certificate - opens in new window for proper printing
+ * Searches with potential matches print the review record instead
  */
 function printCertificate() {
   if (!currentSearchResult) {
@@ -609,186 +1884,16 @@ function printCertificate() {
     return;
   }
 
-  const { searchParams, fullName, fullAddress, timestamp } =
-    currentSearchResult;
-
-  const refId = generateRefId();
-  const searchTime = formatDateTime(timestamp);
-  const listDate =
-    elements.lastUpdate?.textContent || new Date().toLocaleDateString();
-  const entryCount = sdnEntries.length.toLocaleString();
-
-  // Create certificate HTML
-  const certificateHTML = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>OFAC Compliance Certificate - ${refId}</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { 
-      font-family: Georgia, serif; 
-      background: #f5f5f5; 
-      padding: 20px;
-    }
-    .certificate {
-      max-width: 700px;
-      margin: 0 auto;
-      padding: 40px;
-      background: white;
-      border: 3px solid #1a1a1a;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.15);
-    }
-    .cert-header {
-      text-align: center;
-      padding-bottom: 20px;
-      margin-bottom: 25px;
-      border-bottom: 3px solid #1a1a1a;
-    }
-    .cert-header h1 {
-      font-size: 22px;
-      letter-spacing: 3px;
-      font-weight: 700;
-      margin-bottom: 8px;
-    }
-    .cert-header p {
-      color: #666;
-      font-size: 14px;
-    }
-    .cert-status {
-      text-align: center;
-      padding: 20px;
-      margin: 20px 0;
-      background: #d4edda;
-      border: 2px solid #28a745;
-      border-radius: 8px;
-    }
-    .cert-status span {
-      font-size: 20px;
-      font-weight: 700;
-      color: #155724;
-    }
-    .cert-section {
-      margin: 25px 0;
-    }
-    .cert-section h2 {
-      font-size: 14px;
-      text-transform: uppercase;
-      letter-spacing: 2px;
-      margin-bottom: 15px;
-      padding-bottom: 8px;
-      border-bottom: 1px solid #ddd;
-    }
-    table {
-      width: 100%;
-      border-collapse: collapse;
-    }
-    td {
-      padding: 10px 0;
-      border-bottom: 1px solid #eee;
-      font-size: 14px;
-    }
-    td.label {
-      font-weight: 600;
-      width: 40%;
-      color: #333;
-    }
-    td.value {
-      color: #1a1a1a;
-    }
-    .cert-footer {
-      margin-top: 30px;
-      padding-top: 20px;
-      border-top: 2px solid #1a1a1a;
-      text-align: center;
-      font-size: 11px;
-      color: #666;
-    }
-    .ref-id {
-      font-family: monospace;
-      font-size: 12px;
-      background: #f0f0f0;
-      padding: 5px 10px;
-      display: inline-block;
-      margin-top: 10px;
-    }
-    @media print {
-      body { background: white; padding: 0; }
-      .certificate { border: none; box-shadow: none; }
-      .no-print { display: none; }
-    }
-  </style>
-</head>
-<body>
-  <div class="certificate">
-    <div class="cert-header">
-      <h1>OFAC COMPLIANCE CERTIFICATE</h1>
-      <p>Specially Designated Nationals (SDN) Screening Report</p>
-    </div>
-    
-    <div class="cert-status">
-      <span>✓ NO MATCH FOUND - CLEARED</span>
-    </div>
-    
-    <div class="cert-section">
-      <h2>Customer Information Searched</h2>
-      <table>
-        <tr><td class="label">Full Name:</td><td class="value">${
-          fullName || "N/A"
-        }</td></tr>
-        <tr><td class="label">Date of Birth:</td><td class="value">${
-          searchParams.dob || "Not provided"
-        }</td></tr>
-        <tr><td class="label">Address:</td><td class="value">${
-          fullAddress || "Not provided"
-        }</td></tr>
-        <tr><td class="label">ID Number:</td><td class="value">${
-          searchParams.idNumber || "Not provided"
-        }</td></tr>
-      </table>
-    </div>
-    
-    <div class="cert-section">
-      <h2>Search Details</h2>
-      <table>
-        <tr><td class="label">Search Date/Time:</td><td class="value">${searchTime}</td></tr>
-        <tr><td class="label">SDN List Date:</td><td class="value">${listDate}</td></tr>
-        <tr><td class="label">Entries Searched:</td><td class="value">${entryCount}</td></tr>
-        <tr><td class="label">Reference ID:</td><td class="value">${refId}</td></tr>
-      </table>
-    </div>
-    
-    <div class="cert-footer">
-      <p>This certificate confirms that the individual named above was screened against the U.S. Department of the Treasury's</p>
-      <p>Office of Foreign Assets Control (OFAC) Specially Designated Nationals (SDN) List and no matches were found.</p>
-      <p style="margin-top: 15px;">Generated by OFAC Compliance Search Extension</p>
-      <div class="ref-id">${refId}</div>
-    </div>
-  </div>
-  
-  <div class="no-print" style="text-align: center; margin-top: 20px;">
-    <button id="printBtn" style="padding: 12px 30px; font-size: 16px; cursor: pointer; background: #28a745; color: white; border: none; border-radius: 6px;">
-      🖨️ Print Certificate
-    </button>
-    <p style="margin-top: 10px; color: #666; font-size: 12px;">Or press Ctrl+P / Cmd+P to print</p>
-  </div>
-  
-  <script>
-    document.getElementById('printBtn').addEventListener('click', function() {
-      window.print();
-    });
-    // Auto-print after page loads
-    window.onload = function() {
-      setTimeout(function() { window.print(); }, 500);
-    };
-  </script>
-</body>
-</html>`;
+  const report = getReportData();
+  const html =
+    report.candidates.length === 0
+      ? buildCertificateHTML(report)
+      : buildReviewRecordHTML(report);
 
   // Open in new window
   const printWindow = window.open("", "_blank");
   if (printWindow) {
-    printWindow.document.write(certificateHTML);
+    printWindow.document.write(html);
     printWindow.document.close();
   } else {
     alert("Please allow popups to print the certificate.");
@@ -796,12 +1901,63 @@ function printCertificate() {
 }
 
 /**
- * Generate reference ID
+ * Download the certificate (or review record) as a PDF file
+ * Named after the customer and reference ID for filing with the deal
+ */
+function downloadCertificatePDF() {
+  if (!currentSearchResult) {
+    alert("No search result to download.");
+    return;
+  }
+
+  try {
+    const report = getReportData();
+    const isCertificate = report.candidates.length === 0;
+
+    const bytes = isCertificate
+      ? buildCertificatePDF(report)
+      : buildReviewRecordPDF(report);
+
+    downloadPDF(
+      bytes,
+      getReportFileName(
+        report.customer.fullName,
+        report.search.refId,
+        isCertificate ? "Certificate" : "Review"
+      )
+    );
+  } catch (error) {
+    console.error("PDF export failed:", error);
+    alert("Failed to create PDF: " + error.message);
+  }
+}
+
+/**
+ * Describe a potential match and its disposition for the review record
+ * @param {Object} match - Match result from the search
+ * @returns {Object} - Candidate for buildReviewRecordHTML
  */
-function generateRefId() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-  return `OFAC-${timestamp}-${random}`;
+function getReviewCandidate(match) {
+  const disposition = currentSearchResult.dispositions[match.entry.uid];
+
+  return {
+    name: match.entry.fullName || "Unknown",
+    matchedName: match.matchedName,
+    matchedAlias: match.matchedAlias,
+    score: match.score,
+    list: getListShortName(match.entry.list),
+    type: match.entry.type,
+    dob: match.entry.dob,
+    country: match.entry.country,
+    programs: match.entry.programs || [],
+    details: match.details,
+    disposition: disposition && {
+      label: DISPOSITIONS[disposition.status],
+      reviewer: disposition.reviewer,
+      reason: disposition.reason,
+      recordedAt: formatDateTime(new Date(disposition.timestamp)),
+    },
+  };
 }
 
 /**
@@ -835,7 +1991,7 @@ function escapeAttr(text) {
 }
 
 /**
- * Save form data to cache (localStorage with timestamp)
+ * Save form data to cache (session storage with timestamp)
  */
 function saveFormDataToCache() {
   const formData = {
@@ -852,22 +2008,24 @@ function saveFormDataToCache() {
     timestamp: Date.now(),
   };
 
-  localStorage.setItem(FORM_CACHE_KEY, JSON.stringify(formData));
+  chrome.storage.session.set({ [FORM_CACHE_KEY]: formData });
 }
 
 /**
  * Load cached form data (if not expired)
  */
-function loadCachedFormData() {
+async function loadCachedFormData() {
   try {
-    const cached = localStorage.getItem(FORM_CACHE_KEY);
-    if (!cached) return;
+    // Earlier versions cached the form in localStorage, on disk
+    localStorage.removeItem(FORM_CACHE_KEY);
 
-    const formData = JSON.parse(cached);
+    const stored = await chrome.storage.session.get(FORM_CACHE_KEY);
+    const formData = stored[FORM_CACHE_KEY];
+    if (!formData) return;
 
     // Check if cache is expired (older than 10 minutes)
     if (Date.now() - formData.timestamp > FORM_CACHE_DURATION_MS) {
-      localStorage.removeItem(FORM_CACHE_KEY);
+      await chrome.storage.session.remove(FORM_CACHE_KEY);
       return;
     }
 
@@ -921,7 +2079,7 @@ function handleClearForm() {
   elements.toggleAdvanced.classList.remove("active");
 
   // Remove cache
-  localStorage.removeItem(FORM_CACHE_KEY);
+  chrome.storage.session.remove(FORM_CACHE_KEY);
 
   // Focus first field
   elements.firstName.focus();
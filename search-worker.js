@@ -0,0 +1,147 @@
+/**
+ * OFAC Search Chrome Extension - Search Worker
+ * Runs name matching off the page's main thread. Scores candidates in
+ * chunks, streaming progress back and stopping early when cancelled.
+ */
+
+import { searchSDN } from "./utils/fuzzy-search.js";
+import { findCandidateEntries } from "./utils/search-index.js";
+
+// Entries scored between progress messages / cancellation checks
+const CHUNK_SIZE = 250;
+
+// IDs of jobs cancelled while running
+const cancelledJobs = new Set();
+
+/**
+ * Handle messages from the page
+ */
+self.addEventListener("message", (event) => {
+  const message = event.data;
+
+  if (message.type === "search") {
+    runSearch(message);
+  }
+
+  if (message.type === "batch") {
+    runBatch(message);
+  }
+
+  if (message.type === "cancel") {
+    cancelledJobs.add(message.jobId);
+  }
+});
+
+/**
+ * Check whether a job was cancelled
+ * Yields first so queued cancel messages are delivered
+ * @param {number} jobId - Job to check
+ * @returns {Promise<boolean>}
+ */
+async function isCancelled(jobId) {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return cancelledJobs.has(jobId);
+}
+
+/**
+ * Score one search against its candidate entries
+ * @param {number} jobId - Job the search belongs to
+ * @param {Object} searchParams - Search parameters
+ * @param {number} threshold - Minimum score threshold
+ * @param {Object} weights - Scoring weights
+ * @param {Function} onChunk - Called with (scored, total) after each chunk
+ * @returns {Promise<Array|null>} - Matches sorted by score, or null if cancelled
+ */
+async function screen(jobId, searchParams, threshold, weights, onChunk) {
+  if (await isCancelled(jobId)) return null;
+
+  let entries = await findCandidateEntries(searchParams);
+
+  // Filter by type if specified
+  if (searchParams.type && searchParams.type !== "all") {
+    entries = entries.filter((e) => e.type === searchParams.type);
+  }
+
+  const matches = [];
+
+  for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
+    if (await isCancelled(jobId)) return null;
+
+    const chunk = entries.slice(i, i + CHUNK_SIZE);
+    matches.push(...searchSDN(searchParams, chunk, threshold, weights));
+
+    onChunk?.(Math.min(i + CHUNK_SIZE, entries.length), entries.length);
+  }
+
+  // Sort by score descending
+  matches.sort((a, b) => b.score - a.score);
+
+  return matches;
+}
+
+/**
+ * Run a single search job, reporting progress per chunk of entries
+ * @param {Object} job - {jobId, searchParams, threshold, weights}
+ */
+async function runSearch({ jobId, searchParams, threshold, weights }) {
+  try {
+    const matches = await screen(
+      jobId,
+      searchParams,
+      threshold,
+      weights,
+      (scored, total) => {
+        self.postMessage({ type: "progress", jobId, scored, total });
+      }
+    );
+
+    if (matches === null) {
+      self.postMessage({ type: "cancelled", jobId });
+    } else {
+      self.postMessage({ type: "complete", jobId, matches });
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", jobId, error: error.message });
+  } finally {
+    cancelledJobs.delete(jobId);
+  }
+}
+
+/**
+ * Run a batch job, reporting progress per screened row
+ * @param {Object} job - {jobId, rows: [searchParams], threshold, weights}
+ */
+async function runBatch({ jobId, rows, threshold, weights }) {
+  try {
+    const results = [];
+    self.postMessage({
+      type: "progress",
+      jobId,
+      scored: 0,
+      total: rows.length,
+    });
+
+    for (const searchParams of rows) {
+      const matches = await screen(jobId, searchParams, threshold, weights);
+
+      if (matches === null) {
+        self.postMessage({ type: "cancelled", jobId });
+        return;
+      }
+
+      results.push(matches);
+      self.postMessage({
+        type: "progress",
+        jobId,
+        scored: results.length,
+        total: rows.length,
+      });
+    }
+
+    self.postMessage({ type: "complete", jobId, results });
+  } catch (error) {
+    self.postMessage({ type: "error", jobId, error: error.message });
+  } finally {
+    cancelledJobs.delete(jobId);
+  }
+}
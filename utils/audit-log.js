@@ -0,0 +1,196 @@
+/**
+ * Screening Audit Log
+ * Exports search history for examiners as CSV or JSON, and reads JSON logs
+ * exported on other workstations back in so a store can keep one consolidated
+ * log
+ */
+
+import { DISPOSITIONS, getReviewStatus } from "./disposition.js";
+import { getListShortName, getListsSearched } from "./sanctions-lists.js";
+
+// Identifies a JSON screening log exported by this extension
+const LOG_FORMAT = "ofac-screening-log";
+const LOG_VERSION = 1;
+
+// Review status wording in the CSV log
+const REVIEW_STATUS_TEXT = {
+  passed: "Passed",
+  pending: "Review Pending",
+  false_positive: "Cleared - False Positive",
+  escalated: "Escalated",
+  confirmed: "Confirmed Match",
+};
+
+// CSV columns: header and how to read the value from a history record
+const CSV_COLUMNS = [
+  ["Reference ID", (record) => record.refId],
+  ["Screened At", (record) => record.timestamp],
+  ["First Name", (record) => record.searchParams.firstName],
+  ["Middle Name", (record) => record.searchParams.middleName],
+  ["Last Name", (record) => record.searchParams.lastName],
+  ["DOB", (record) => record.searchParams.dob],
+  ["Address", (record) => record.searchParams.address],
+  ["City", (record) => record.searchParams.city],
+  ["State", (record) => record.searchParams.state],
+  ["Country", (record) => record.searchParams.country],
+  ["ID Number", (record) => record.searchParams.idNumber],
+  ["Type", (record) => record.searchParams.type],
+  ["Result", (record) => record.result],
+  ["Match Count", (record) => record.matchCount],
+  ["Matched Entries", formatMatches],
+  ["Review Status", (record) => REVIEW_STATUS_TEXT[getReviewStatus(record)]],
+  ["Dispositions", formatDispositions],
+  ["Threshold", (record) => record.threshold],
+  [
+    "Lists Searched",
+    (record) => getListsSearched(record.listSnapshot).join("; "),
+  ],
+  ["List Version", (record) => record.listSnapshot?.publishDate],
+  ["List Downloaded", (record) => record.listSnapshot?.lastUpdate],
+  ["Entries Searched", (record) => record.listSnapshot?.entryCount],
+  ["Algorithm Version", (record) => record.algorithmVersion],
+  ["Issued By", (record) => record.store?.legalName],
+  ["Batch File", (record) => record.batchFile],
+  ["Record Digest", (record) => record.digest],
+];
+
+/**
+ * Summarize a record's matched entries in one CSV cell
+ * @param {Object} record - Search history record
+ * @returns {string} - e.g. "IVAN PETROV [SDN 12345] 92%"
+ */
+function formatMatches(record) {
+  return (record.matches || [])
+    .map(
+      (match) =>
+        `${match.entry.fullName} [${getListShortName(match.entry.list)} ${
+          match.entry.uid
+        }] ${match.score}%`
+    )
+    .join("; ");
+}
+
+/**
+ * Summarize a record's dispositions in one CSV cell
+ * @param {Object} record - Search history record
+ * @returns {string} - e.g. "IVAN PETROV: False Positive by J. Doe on ... - reason"
+ */
+function formatDispositions(record) {
+  return Object.values(record.dispositions || {})
+    .map(
+      (disposition) =>
+        `${disposition.entryName}: ${DISPOSITIONS[disposition.status]} by ${
+          disposition.reviewer
+        } on ${disposition.timestamp} - ${disposition.reason}`
+    )
+    .join("; ");
+}
+
+/**
+ * Quote a value for CSV
+ * Text that a spreadsheet would run as a formula is prefixed with an
+ * apostrophe, since customer names are typed in by staff
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function toCSVCell(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV screening log
+ * @param {Array<Object>} records - Search history records, in log order
+ * @returns {string} - CSV text with a header row
+ */
+export function buildAuditCSV(records) {
+  const lines = [CSV_COLUMNS.map(([header]) => toCSVCell(header)).join(",")];
+
+  for (const record of records) {
+    lines.push(
+      CSV_COLUMNS.map(([, getValue]) => toCSVCell(getValue(record))).join(",")
+    );
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Build the JSON screening log
+ * Records are kept whole (without the local database ID) so they can be
+ * verified against their digests and imported on another workstation
+ * @param {Array<Object>} records - Search history records, in log order
+ * @param {Object} range - {from, to} dates the export covers, if any
+ * @returns {string} - JSON text
+ */
+export function buildAuditJSON(records, { from, to } = {}) {
+  return JSON.stringify(
+    {
+      format: LOG_FORMAT,
+      version: LOG_VERSION,
+      exportedAt: new Date().toISOString(),
+      from: from || null,
+      to: to || null,
+      recordCount: records.length,
+      records: records.map((record) => ({ ...record, id: undefined })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read the records from a JSON screening log
+ * @param {string} text - Contents of a log exported by buildAuditJSON
+ * @returns {Array<Object>} - Search history records
+ * @throws {Error} - If the file is not a screening log
+ */
+export function parseAuditJSON(text) {
+  let log;
+  try {
+    log = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON: " + error.message);
+  }
+
+  if (log?.format !== LOG_FORMAT || !Array.isArray(log.records)) {
+    throw new Error("The file is not an OFAC screening log export.");
+  }
+
+  if (log.version > LOG_VERSION) {
+    throw new Error(
+      "The log was exported by a newer version of the extension. Update the extension and try again."
+    );
+  }
+
+  log.records.forEach((record, index) => {
+    if (
+      !record?.searchParams ||
+      typeof record.searchParams !== "object" ||
+      typeof record.timestamp !== "string" ||
+      typeof record.result !== "string"
+    ) {
+      throw new Error(`Record ${index + 1} is not a screening record.`);
+    }
+  });
+
+  return log.records;
+}
+
+/**
+ * Get the download file name for a screening log
+ * @param {string} from - First date covered (YYYY-MM-DD), if any
+ * @param {string} to - Last date covered (YYYY-MM-DD), if any
+ * @param {string} extension - "csv" or "json"
+ * @returns {string} - e.g. OFAC_Screening_Log_2026-01-01_to_2026-03-31.csv
+ */
+export function getAuditLogFileName(from, to, extension) {
+  const range =
+    from || to ? `${from || "start"}_to_${to || "today"}` : "all_records";
+  return `OFAC_Screening_Log_${range}.${extension}`;
+}
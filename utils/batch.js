@@ -0,0 +1,135 @@
+/**
+ * Batch Screening Utilities
+ * Parses a customer CSV (first, middle, last, DOB, address, ID) into
+ * search parameters for screening every row against the SDN list
+ */
+
+import { parseCSVLine } from "./ofac-data.js";
+
+// Accepted header names (lowercase, spaces/underscores removed) per field
+const HEADER_ALIASES = {
+  firstName: ["first", "firstname", "givenname", "fname"],
+  middleName: ["middle", "middlename", "middleinitial", "mname"],
+  lastName: ["last", "lastname", "surname", "familyname", "lname"],
+  dob: ["dob", "dateofbirth", "birthdate", "birthday"],
+  address: ["address", "streetaddress", "street", "address1"],
+  city: ["city"],
+  state: ["state", "province", "stateprovince"],
+  country: ["country"],
+  idNumber: ["id", "idnumber", "idno", "dlnumber", "license", "ssn"],
+};
+
+// Column order assumed when the file has no recognizable header row
+const DEFAULT_COLUMNS = [
+  "firstName",
+  "middleName",
+  "lastName",
+  "dob",
+  "address",
+  "idNumber",
+];
+
+/**
+ * Map a header row to field names
+ * @param {string[]} headers - Header cells
+ * @returns {Array<string|null>|null} - Field per column, or null if no header
+ */
+function mapHeaders(headers) {
+  const columns = headers.map((header) => {
+    const key = header.toLowerCase().replace(/[\s_\-.#]/g, "");
+    const field = Object.keys(HEADER_ALIASES).find((name) =>
+      HEADER_ALIASES[name].includes(key)
+    );
+    return field || null;
+  });
+
+  const hasName = columns.includes("firstName") || columns.includes("lastName");
+  return hasName ? columns : null;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * Accepts ISO dates and US-style MM/DD/YYYY
+ * @param {string} value - Date as typed in the file
+ * @returns {string|null} - ISO date, "" if blank, or null if the value is
+ *   not a recognizable, real calendar date
+ */
+function normalizeDate(value) {
+  if (!value) return "";
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const us = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (!iso && !us) return null;
+
+  const [year, month, day] = iso
+    ? iso.slice(1).map(Number)
+    : [us[3], us[1], us[2]].map(Number);
+
+  // Reject dates that roll over, e.g. 02/30/1980
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Parse a batch CSV into search parameters
+ * A row whose DOB cannot be read is screened without it and keeps the
+ * value as typed in invalidDob
+ * @param {string} csvText - Raw CSV text
+ * @returns {Array} - {row, searchParams, invalidDob} per customer row
+ */
+export function parseBatchCSV(csvText) {
+  const lines = csvText
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+
+  if (lines.length === 0) return [];
+
+  const headerColumns = mapHeaders(parseCSVLine(lines[0]));
+  const columns = headerColumns || DEFAULT_COLUMNS;
+  const dataLines = headerColumns ? lines.slice(1) : lines;
+
+  const rows = [];
+
+  dataLines.forEach((line, i) => {
+    const fields = parseCSVLine(line);
+    const searchParams = {
+      firstName: "",
+      middleName: "",
+      lastName: "",
+      dob: "",
+      idNumber: "",
+      address: "",
+      city: "",
+      state: "",
+      country: "",
+      type: "all",
+    };
+
+    columns.forEach((field, column) => {
+      if (field && fields[column]) {
+        searchParams[field] = fields[column];
+      }
+    });
+
+    const typedDob = searchParams.dob;
+    const dob = normalizeDate(typedDob);
+    searchParams.dob = dob || "";
+
+    // Skip rows without a name to screen
+    if (!searchParams.firstName && !searchParams.lastName) return;
+
+    rows.push({
+      row: i + 1,
+      searchParams,
+      invalidDob: dob === null ? typedDob : null,
+    });
+  });
+
+  return rows;
+}
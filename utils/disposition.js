@@ -0,0 +1,37 @@
+/**
+ * Match Disposition Utilities
+ * Reviewer decisions recorded against potential matches, and the overall
+ * review status of a search derived from them
+ */
+
+// Disposition statuses a reviewer can record, with their display labels
+export const DISPOSITIONS = {
+  false_positive: "False Positive",
+  escalated: "Escalated",
+  confirmed: "Confirmed Match",
+};
+
+/**
+ * Get the review status of a saved search
+ * A confirmed match outranks an escalation; a search is only cleared once
+ * every potential match has been marked a false positive
+ * @param {Object} record - Search history record
+ * @returns {string} - "passed", "confirmed", "escalated", "false_positive" or "pending"
+ */
+export function getReviewStatus(record) {
+  if (record.result === "PASSED") return "passed";
+
+  const statuses = Object.values(record.dispositions || {}).map(
+    (disposition) => disposition.status
+  );
+
+  if (statuses.includes("confirmed")) return "confirmed";
+  if (statuses.includes("escalated")) return "escalated";
+
+  const cleared = statuses.filter((status) => status === "false_positive");
+  if (cleared.length > 0 && cleared.length >= record.matchCount) {
+    return "false_positive";
+  }
+
+  return "pending";
+}
@@ -0,0 +1,24 @@
+/**
+ * File Download Helper
+ * Saves generated files (PDF certificates, screening logs) from extension pages
+ */
+
+/**
+ * Save data as a file download
+ * @param {BlobPart} data - File contents
+ * @param {string} fileName - File name including extension
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download time to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,165 @@
+/**
+ * Sanctions List Entry Fields
+ * Splits the multi-value columns of the OpenSanctions exports (countries,
+ * addresses, identifiers, birth dates) into the structured records stored
+ * on each entry.
+ */
+
+// OpenSanctions joins multiple values in one column with semicolons
+const VALUE_SEPARATOR = ";";
+
+// Address parts naming a region rather than a city
+const REGION_PATTERN =
+  /\b(province|oblast|region|state|governorate|prefecture|krai|kray|county|district|emirate|territory)\b/i;
+
+// Postal codes: a short token with at least one digit, e.g. "123456", "SW1A 1AA"
+const POSTAL_CODE_PATTERN = /^(?=.*\d)[A-Z0-9][A-Z0-9 -]{2,9}$/i;
+
+// Identifier formats recognizable without a type label
+const IDENTIFIER_TYPES = [
+  { type: "IMO Number", pattern: /^IMO\s?\d{7}$/i },
+  { type: "SWIFT/BIC", pattern: /^[A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?$/ },
+];
+
+// Identifier labels, as written before the number (e.g. "Passport No. AB123"),
+// and the ID type they stand for; the types match the OpenSanctions JSON ones
+const IDENTIFIER_LABELS = [
+  ["Passport", "passport"],
+  [
+    "National ID",
+    "national id|national identification|identity card|id card|cedula|personal id",
+  ],
+  ["Tax ID", "tax id|tax identification|tin|inn|rfc|nit|vat"],
+  [
+    "Registration Number",
+    "registration id|registration|company number|business registration|ogrnip|ogrn",
+  ],
+  ["MMSI", "mmsi"],
+].map(([type, labels]) => ({
+  type,
+  pattern: new RegExp(
+    String.raw`^(?:${labels})\b(?:\s+(?:no\.?|number|#))?\s*:?\s*(?=\S*\d)(.+)$`,
+    "i"
+  ),
+}));
+
+// Any other "label: number" identifier; the label is kept as its type
+const LABELED_IDENTIFIER_PATTERN = /^([A-Z][A-Z '.\/-]*?)\s*:\s*(\S.*)$/i;
+
+let displayNames = null;
+let regionNames = null;
+
+/**
+ * Split a multi-value column into its values
+ * @param {string} text - e.g. "1970-05-12;1971"
+ * @returns {Array<string>}
+ */
+export function splitValues(text) {
+  return (text || "")
+    .split(VALUE_SEPARATOR)
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get the English name of a country from its ISO code
+ * Codes without a name (e.g. OpenSanctions' "suhh" for the Soviet Union)
+ * are returned as given
+ * @param {string} code - ISO 3166 alpha-2 code, any case
+ * @returns {string} - e.g. "Russia"
+ */
+export function getCountryName(code) {
+  displayNames =
+    displayNames || new Intl.DisplayNames(["en"], { type: "region" });
+
+  try {
+    return displayNames.of(code.toUpperCase()) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Check whether text is the English name of a country
+ * @param {string} text - Address part
+ * @returns {boolean}
+ */
+function isCountryName(text) {
+  if (!regionNames) {
+    regionNames = new Set();
+    for (let i = 0; i < 26 * 26; i++) {
+      const code =
+        String.fromCharCode(65 + Math.floor(i / 26)) +
+        String.fromCharCode(65 + (i % 26));
+      const name = getCountryName(code);
+      if (name !== code) regionNames.add(name.toLowerCase());
+    }
+  }
+  return regionNames.has(text.toLowerCase());
+}
+
+/**
+ * Parse a one-line address into its parts
+ * OpenSanctions writes OFAC addresses as "street, city, region, postal code,
+ * country" with empty parts left out
+ * @param {string} text - e.g. "Ulitsa Lenina 1, Moscow, 123456, Russia"
+ * @param {Array<string>} countries - Country names of the entry, tried first
+ * @returns {Object} - {address, city, state, postalCode, country}
+ */
+export function parseAddress(text, countries = []) {
+  const parts = text
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  const last = parts[parts.length - 1] || "";
+  const country =
+    countries.find((name) => name.toLowerCase() === last.toLowerCase()) ||
+    (isCountryName(last) ? last : "");
+  if (country) parts.pop();
+
+  // A street number may look like a postal code, so the first part is kept
+  const postalIndex = parts.findIndex(
+    (part, i) => i > 0 && POSTAL_CODE_PATTERN.test(part)
+  );
+  const postalCode = postalIndex > 0 ? parts.splice(postalIndex, 1)[0] : "";
+
+  const state = REGION_PATTERN.test(parts[parts.length - 1] || "")
+    ? parts.pop()
+    : "";
+  const city = parts.pop() || "";
+
+  return { address: parts.join(", "), city, state, postalCode, country };
+}
+
+/**
+ * Parse one identifier into its type and number
+ * Known labels map to an ID type, other labels are kept as written, and
+ * unlabeled values are typed by format where it identifies itself
+ * @param {string} value - e.g. "Passport No. AB1234567"
+ * @returns {Object} - {type, number}
+ */
+function parseIdentifier(value) {
+  for (const { type, pattern } of IDENTIFIER_LABELS) {
+    const match = value.match(pattern);
+    if (match) return { type, number: match[1].trim() };
+  }
+
+  const labeled = value.match(LABELED_IDENTIFIER_PATTERN);
+  if (labeled) return { type: labeled[1], number: labeled[2].trim() };
+
+  return {
+    type:
+      IDENTIFIER_TYPES.find(({ pattern }) => pattern.test(value))?.type || "ID",
+    number: value,
+  };
+}
+
+/**
+ * Parse an identifiers column into one record per identifier
+ * @param {string} text - e.g. "AB1234567;Passport AB1234567;IMO 9187629"
+ * @returns {Array<Object>} - [{type, number}]
+ */
+export function parseIdentifiers(text) {
+  return splitValues(text).map(parseIdentifier);
+}
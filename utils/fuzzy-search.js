@@ -3,6 +3,60 @@
  * Implements Jaro-Winkler similarity algorithm for name comparison
  */
 
+import { transliterate, canonicalizeToken } from "./transliterate.js";
+import { soundsAlike } from "./phonetic.js";
+
+// Default minimum score for a candidate to be reported as a potential match
+export const DEFAULT_MATCH_THRESHOLD = 85;
+
+/**
+ * Version of the match scoring rules. Bump whenever scoring changes so each
+ * saved screening records which rules produced its result.
+ */
+export const ALGORITHM_VERSION = 3;
+
+/**
+ * Default scoring weights, overridable from the settings page.
+ * Name part weights are relative shares of the name score, and phoneticMatch
+ * is the similarity (0-100) credited to name parts that sound alike but are
+ * spelled differently. The remaining values are points added to (or removed
+ * from) the name score by corroborating fields; a field only adjusts the score
+ * when both the search and the SDN entry have it, so leaving DOB, address or
+ * ID blank never lowers a score. A contradicting DOB takes even a full name
+ * match below the default threshold.
+ */
+export const DEFAULT_SCORING_WEIGHTS = {
+  lastName: 50,
+  firstName: 35,
+  middleName: 15,
+  phoneticMatch: 90,
+  dobMatch: 10,
+  dobMismatch: 20,
+  idMatch: 15,
+  addressMatch: 5,
+  addressMismatch: 10,
+};
+
+// Qualifiers SDN entries put before approximate dates, e.g. "circa 1955"
+const APPROXIMATE_DATE_PATTERN =
+  /^(?:circa|ca\.|c\.|approximately|approx\.?|about)\s*/i;
+
+// Tokens shorter than this are too coarse to compare phonetically
+const MIN_PHONETIC_TOKEN_LENGTH = 3;
+
+// Display labels for name fields in match details
+const NAME_FIELD_LABELS = {
+  firstName: "first name",
+  middleName: "middle name",
+  lastName: "last name",
+};
+
+// Address similarity (0-100) at or above which the address corroborates a match
+export const ADDRESS_MATCH_SCORE = 85;
+
+// Address similarity (0-100) below which the address contradicts a match
+const ADDRESS_MISMATCH_SCORE = 50;
+
 /**
  * Calculate Jaro similarity between two strings
  * @param {string} s1 - First string
@@ -94,89 +148,234 @@ export function jaroWinkler(s1, s2, p = 0.1) {
 
 /**
  * Normalize a name for comparison
- * Removes special characters, extra spaces, and converts to lowercase
+ * Transliterates to Latin, folds diacritics, removes special characters and
+ * extra spaces, and maps romanization variants (Mohammed -> muhammad)
  * @param {string} name - Name to normalize
  * @returns {string} - Normalized name
  */
 export function normalizeName(name) {
   if (!name) return "";
-  return name
-    .toLowerCase()
+  return transliterate(name)
+    .replace(/['\u2018\u2019\u02bc\u02be\u02bf`]/g, "")
     .replace(/[^a-z0-9\s]/g, " ")
     .replace(/\s+/g, " ")
-    .trim();
+    .trim()
+    .split(" ")
+    .map(canonicalizeToken)
+    .join(" ");
 }
 
 /**
- * Calculate similarity between two full names
- * Handles first/middle/last name variations
- * @param {Object} searchName - Object with firstName, middleName, lastName
- * @param {Object} sdnName - Object with firstName, middleName, lastName
- * @returns {number} - Combined similarity score (0-100)
+ * Split a name into normalized tokens, remembering which field each came from
+ * @param {Object} name - Object with firstName, middleName, lastName
+ * @returns {Array} - Array of {token, field}
  */
-export function calculateNameSimilarity(searchName, sdnName) {
-  const normalizedSearch = {
-    first: normalizeName(searchName.firstName),
-    middle: normalizeName(searchName.middleName),
-    last: normalizeName(searchName.lastName),
-  };
+function tokenizeName(name) {
+  const tokens = [];
 
-  const normalizedSDN = {
-    first: normalizeName(sdnName.firstName),
-    middle: normalizeName(sdnName.middleName),
-    last: normalizeName(sdnName.lastName),
-  };
+  for (const field of ["firstName", "middleName", "lastName"]) {
+    const normalized = normalizeName(name[field]);
+    if (!normalized) continue;
 
-  // Calculate individual name part scores
-  let lastScore = 0;
-  let firstScore = 0;
-  let middleScore = 0;
+    for (const token of normalized.split(" ")) {
+      tokens.push({ token, field });
+    }
+  }
 
-  // Last name is most important
-  if (normalizedSearch.last && normalizedSDN.last) {
-    lastScore = jaroWinkler(normalizedSearch.last, normalizedSDN.last);
+  return tokens;
+}
+
+/**
+ * Similarity of two name tokens, using the phonetic signal as a second opinion
+ * @param {string} token1 - Normalized search token
+ * @param {string} token2 - Normalized SDN token
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
+ * @returns {Object} - {similarity (0-1), phonetic (true if sound-alike raised it)}
+ */
+function compareTokens(token1, token2, weights) {
+  const similarity = jaroWinkler(token1, token2);
+  const phoneticSimilarity = weights.phoneticMatch / 100;
+
+  if (
+    similarity < phoneticSimilarity &&
+    token1.length >= MIN_PHONETIC_TOKEN_LENGTH &&
+    token2.length >= MIN_PHONETIC_TOKEN_LENGTH &&
+    soundsAlike(token1, token2)
+  ) {
+    return { similarity: phoneticSimilarity, phonetic: true };
   }
 
-  // First name
-  if (normalizedSearch.first && normalizedSDN.first) {
-    firstScore = jaroWinkler(normalizedSearch.first, normalizedSDN.first);
+  return { similarity, phonetic: false };
+}
+
+/**
+ * Pair search tokens with SDN tokens in the best-scoring arrangement
+ * Greedily takes the most similar remaining pair, so each token is used once
+ * regardless of the order or field the names were stored in
+ * @param {Array} searchTokens - Tokens from tokenizeName
+ * @param {Array} sdnTokens - Tokens from tokenizeName
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
+ * @returns {Array} - Comparison per search token (null if left unpaired)
+ */
+function alignTokens(searchTokens, sdnTokens, weights) {
+  const pairs = [];
+
+  searchTokens.forEach((searchToken, i) => {
+    sdnTokens.forEach((sdnToken, j) => {
+      pairs.push({
+        i,
+        j,
+        ...compareTokens(searchToken.token, sdnToken.token, weights),
+      });
+    });
+  });
+
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const alignment = new Array(searchTokens.length).fill(null);
+  const usedSdn = new Set();
+
+  for (const pair of pairs) {
+    if (alignment[pair.i] !== null || usedSdn.has(pair.j)) continue;
+    alignment[pair.i] = pair;
+    usedSdn.add(pair.j);
   }
 
-  // Middle name (if provided)
-  if (normalizedSearch.middle && normalizedSDN.middle) {
-    middleScore = jaroWinkler(normalizedSearch.middle, normalizedSDN.middle);
-  } else if (!normalizedSearch.middle || !normalizedSDN.middle) {
-    // If either doesn't have middle name, don't penalize
-    middleScore = null;
+  return alignment;
+}
+
+/**
+ * Compare two full names
+ * Token-order independent: "Kim Jong Un" matches "KIM, Jong-un" whichever
+ * fields either side stored the parts in. Each search field's weight is
+ * shared among its tokens.
+ * @param {Object} searchName - Object with firstName, middleName, lastName
+ * @param {Object} sdnName - Object with firstName, middleName, lastName
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
+ * @returns {Object} - {score (0-100), phoneticFields (search fields matched by sound)}
+ */
+export function compareNames(
+  searchName,
+  sdnName,
+  weights = DEFAULT_SCORING_WEIGHTS
+) {
+  const result = { score: 0, phoneticFields: [] };
+
+  const searchTokens = tokenizeName(searchName);
+  const sdnTokens = tokenizeName(sdnName);
+
+  if (searchTokens.length === 0 || sdnTokens.length === 0) return result;
+
+  const alignment = alignTokens(searchTokens, sdnTokens, weights);
+
+  // Token count per field, so a field's weight is split across its tokens
+  const fieldTokenCounts = {};
+  for (const { field } of searchTokens) {
+    fieldTokenCounts[field] = (fieldTokenCounts[field] || 0) + 1;
   }
 
-  // Calculate weighted average
-  // Last name: 50%, First name: 35%, Middle name: 15%
+  // Calculate weighted average of the name parts that were searched
   let totalWeight = 0;
   let weightedScore = 0;
 
-  if (normalizedSearch.last) {
-    weightedScore += lastScore * 0.5;
-    totalWeight += 0.5;
-  }
+  searchTokens.forEach(({ field }, i) => {
+    const pair = alignment[i];
 
-  if (normalizedSearch.first) {
-    weightedScore += firstScore * 0.35;
-    totalWeight += 0.35;
-  }
+    // An unpaired middle name is not penalized (the SDN name may not have one)
+    if (field === "middleName" && pair === null) return;
 
-  if (middleScore !== null) {
-    weightedScore += middleScore * 0.15;
-    totalWeight += 0.15;
-  }
+    const weight = weights[field] / fieldTokenCounts[field];
+    weightedScore += (pair ? pair.similarity : 0) * weight;
+    totalWeight += weight;
+
+    if (pair?.phonetic && !result.phoneticFields.includes(field)) {
+      result.phoneticFields.push(field);
+    }
+  });
 
   // Normalize the score
   const finalScore = totalWeight > 0 ? (weightedScore / totalWeight) * 100 : 0;
-  return Math.round(finalScore);
+  result.score = Math.round(finalScore);
+  return result;
+}
+
+/**
+ * Calculate similarity between two full names
+ * @param {Object} searchName - Object with firstName, middleName, lastName
+ * @param {Object} sdnName - Object with firstName, middleName, lastName
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
+ * @returns {number} - Combined similarity score (0-100)
+ */
+export function calculateNameSimilarity(
+  searchName,
+  sdnName,
+  weights = DEFAULT_SCORING_WEIGHTS
+) {
+  return compareNames(searchName, sdnName, weights).score;
+}
+
+/**
+ * Normalize an ID number (or other code) for comparison
+ * Letters and digits are kept, so "AB123" and "XY123" stay different; only
+ * case and the separators people type differently are ignored
+ * @param {string} value - e.g. "ab-123.45 6"
+ * @returns {string} - e.g. "AB123456"
+ */
+function normalizeIdentifier(value) {
+  return (value || "").toUpperCase().replace(/[\s.\-]/g, "");
+}
+
+/**
+ * Read a date as the first and last day it can stand for
+ * Year-only and year-month dates cover the whole year or month, and
+ * approximate dates ("circa 1955") a year either side as well
+ * @param {string} value - YYYY-MM-DD, YYYY-MM, YYYY or any format Date parses
+ * @returns {Array<string>|null} - [first, last] as YYYY-MM-DD, or null
+ */
+function getDateBounds(value) {
+  const text = value.trim();
+  const exact = text.replace(APPROXIMATE_DATE_PATTERN, "");
+  const bounds = getExactDateBounds(exact);
+  if (!bounds || exact === text) return bounds;
+
+  const shiftYear = (date, years) =>
+    String(Number(date.slice(0, 4)) + years) + date.slice(4);
+  return [shiftYear(bounds[0], -1), shiftYear(bounds[1], 1)];
+}
+
+/**
+ * Read a date without a qualifier as the first and last day it can stand for
+ * @param {string} value - YYYY-MM-DD, YYYY-MM, YYYY or any format Date parses
+ * @returns {Array<string>|null} - [first, last] as YYYY-MM-DD, or null
+ */
+function getExactDateBounds(value) {
+  const match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  let year, month, day;
+
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    year = date.getFullYear();
+    month = date.getMonth() + 1;
+    day = date.getDate();
+  }
+
+  const format = (m, d) =>
+    `${year}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  const lastDay = (m) => new Date(year, m, 0).getDate();
+
+  if (!month) return [format(1, 1), format(12, 31)];
+  if (!day) return [format(month, 1), format(month, lastDay(month))];
+  return [format(month, day), format(month, day)];
 }
 
 /**
  * Check if a date of birth matches
+ * SDN entries may list several dates separated by semicolons, each a full
+ * date, a year or month only, an approximate date ("circa 1955") or a range
+ * ("1966 to 1968"); any one that overlaps the searched date is a match
  * @param {string} searchDOB - Search DOB (format: YYYY-MM-DD or similar)
  * @param {string} sdnDOB - SDN entry DOB
  * @returns {boolean} - True if dates match
@@ -184,28 +383,23 @@ export function calculateNameSimilarity(searchName, sdnName) {
 export function matchDOB(searchDOB, sdnDOB) {
   if (!searchDOB || !sdnDOB) return false;
 
-  // Extract just the numbers for comparison
-  const searchNums = searchDOB.replace(/\D/g, "");
-  const sdnNums = sdnDOB.replace(/\D/g, "");
-
-  // Try direct match
-  if (searchNums === sdnNums) return true;
-
-  // Parse dates for comparison
-  try {
-    const search = new Date(searchDOB);
-    const sdn = new Date(sdnDOB);
-
-    if (isNaN(search.getTime()) || isNaN(sdn.getTime())) return false;
+  const search = getDateBounds(searchDOB);
+
+  return sdnDOB
+    .split(";")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .some((value) => {
+      // Fall back to comparing dates in unknown formats as written
+      const [from, to = from] = value.split(/\s+to\s+/i);
+      const start = getDateBounds(from);
+      const end = getDateBounds(to);
+      if (!search || !start || !end) {
+        return normalizeIdentifier(searchDOB) === normalizeIdentifier(value);
+      }
 
-    return (
-      search.getFullYear() === sdn.getFullYear() &&
-      search.getMonth() === sdn.getMonth() &&
-      search.getDate() === sdn.getDate()
-    );
-  } catch {
-    return false;
-  }
+      return search[0] <= end[1] && start[0] <= search[1];
+    });
 }
 
 /**
@@ -218,7 +412,7 @@ export function calculateAddressSimilarity(searchAddr, sdnAddr) {
   if (!searchAddr || !sdnAddr) return 0;
 
   let totalScore = 0;
-  let fields = 0;
+  let totalWeight = 0;
 
   // Country match (most important)
   if (searchAddr.country && sdnAddr.country) {
@@ -227,7 +421,7 @@ export function calculateAddressSimilarity(searchAddr, sdnAddr) {
       normalizeName(sdnAddr.country)
     );
     totalScore += countryScore * 40;
-    fields++;
+    totalWeight += 40;
   }
 
   // State match
@@ -237,7 +431,7 @@ export function calculateAddressSimilarity(searchAddr, sdnAddr) {
       normalizeName(sdnAddr.state)
     );
     totalScore += stateScore * 20;
-    fields++;
+    totalWeight += 20;
   }
 
   // City match
@@ -247,7 +441,7 @@ export function calculateAddressSimilarity(searchAddr, sdnAddr) {
       normalizeName(sdnAddr.city)
     );
     totalScore += cityScore * 25;
-    fields++;
+    totalWeight += 25;
   }
 
   // Street address match
@@ -257,96 +451,192 @@ export function calculateAddressSimilarity(searchAddr, sdnAddr) {
       normalizeName(sdnAddr.address)
     );
     totalScore += streetScore * 15;
-    fields++;
+    totalWeight += 15;
+  }
+
+  // Score only the fields both sides have, so missing fields are not penalized
+  return totalWeight > 0 ? Math.round((totalScore / totalWeight) * 100) : 0;
+}
+
+/**
+ * Get the addresses to compare a search against
+ * Entries with structured addresses are compared per address; the entry's
+ * country stands in for an address without one
+ * @param {Object} sdnEntry - SDN entry
+ * @returns {Array} - Addresses with address, city, state, country
+ */
+function getEntryAddresses(sdnEntry) {
+  if (sdnEntry.addresses?.length > 0) {
+    return sdnEntry.addresses.map((addr) => ({
+      address: addr.address,
+      city: addr.city,
+      state: addr.state,
+      country: addr.country || sdnEntry.country,
+    }));
+  }
+
+  return [
+    {
+      address: sdnEntry.address,
+      city: sdnEntry.city,
+      state: sdnEntry.state,
+      country: sdnEntry.country,
+    },
+  ];
+}
+
+/**
+ * Collect every name an SDN entry is known by
+ * The primary name comes first, followed by each alias (AKA)
+ * @param {Object} sdnEntry - SDN entry
+ * @returns {Array} - Name variants with firstName, middleName, lastName, fullName, isAlias
+ */
+export function getNameVariants(sdnEntry) {
+  const variants = [
+    {
+      firstName: sdnEntry.firstName,
+      middleName: sdnEntry.middleName,
+      lastName: sdnEntry.lastName,
+      fullName: sdnEntry.fullName,
+      isAlias: false,
+    },
+  ];
+
+  for (const alias of sdnEntry.aliases || []) {
+    if (!alias.firstName && !alias.lastName) continue;
+
+    variants.push({
+      firstName: alias.firstName,
+      middleName: alias.middleName,
+      lastName: alias.lastName,
+      fullName:
+        alias.fullName ||
+        [alias.firstName, alias.middleName, alias.lastName]
+          .filter(Boolean)
+          .join(" "),
+      isAlias: true,
+    });
   }
 
-  return fields > 0 ? Math.round(totalScore) : 0;
+  return variants;
 }
 
 /**
  * Calculate overall match score between search and SDN entry
  * @param {Object} searchParams - All search parameters
  * @param {Object} sdnEntry - SDN entry to compare against
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
  * @returns {Object} - Match result with score and details
  */
-export function calculateMatchScore(searchParams, sdnEntry) {
+export function calculateMatchScore(
+  searchParams,
+  sdnEntry,
+  weights = DEFAULT_SCORING_WEIGHTS
+) {
   const result = {
     score: 0,
     nameScore: 0,
     dobMatch: false,
     addressScore: 0,
     idMatch: false,
+    matchedName: sdnEntry.fullName,
+    matchedAlias: false,
     details: [],
   };
 
-  // Name similarity (primary factor)
-  result.nameScore = calculateNameSimilarity(
-    {
-      firstName: searchParams.firstName,
-      middleName: searchParams.middleName,
-      lastName: searchParams.lastName,
-    },
-    {
-      firstName: sdnEntry.firstName,
-      middleName: sdnEntry.middleName,
-      lastName: sdnEntry.lastName,
+  // Name similarity (primary factor) - best of primary name and all aliases
+  const searchName = {
+    firstName: searchParams.firstName,
+    middleName: searchParams.middleName,
+    lastName: searchParams.lastName,
+  };
+
+  let phoneticFields = [];
+
+  for (const variant of getNameVariants(sdnEntry)) {
+    const comparison = compareNames(searchName, variant, weights);
+    if (comparison.score > result.nameScore) {
+      result.nameScore = comparison.score;
+      result.matchedName = variant.fullName;
+      result.matchedAlias = variant.isAlias;
+      phoneticFields = comparison.phoneticFields;
     }
-  );
+  }
+
+  if (result.matchedAlias) {
+    result.details.push(`Name matches alias "${result.matchedName}"`);
+  }
+
+  for (const field of phoneticFields) {
+    result.details.push(`Phonetic match on ${NAME_FIELD_LABELS[field]}`);
+  }
+
+  // Start from the name score; corroborating fields raise or lower confidence
+  let overallScore = result.nameScore;
 
   // DOB match (strong indicator)
-  if (searchParams.dob) {
+  if (searchParams.dob && sdnEntry.dob) {
     result.dobMatch = matchDOB(searchParams.dob, sdnEntry.dob);
     if (result.dobMatch) {
+      overallScore += weights.dobMatch;
       result.details.push("Date of birth matches");
+    } else {
+      overallScore -= weights.dobMismatch;
+      result.details.push("Date of birth does not match");
     }
   }
 
-  // Address similarity
+  // Address similarity - best of the entry's addresses
   if (searchParams.country || searchParams.city || searchParams.state) {
-    result.addressScore = calculateAddressSimilarity(
-      {
-        address: searchParams.address,
-        city: searchParams.city,
-        state: searchParams.state,
-        country: searchParams.country,
-      },
-      {
-        address: sdnEntry.address,
-        city: sdnEntry.city,
-        state: sdnEntry.state,
-        country: sdnEntry.country,
+    const searchAddr = {
+      address: searchParams.address,
+      city: searchParams.city,
+      state: searchParams.state,
+      country: searchParams.country,
+    };
+    let comparable = false;
+
+    for (const sdnAddr of getEntryAddresses(sdnEntry)) {
+      // Only fields present on both sides say anything about the candidate
+      if (
+        !["address", "city", "state", "country"].some(
+          (field) => searchAddr[field] && sdnAddr[field]
+        )
+      ) {
+        continue;
       }
-    );
+
+      comparable = true;
+      result.addressScore = Math.max(
+        result.addressScore,
+        calculateAddressSimilarity(searchAddr, sdnAddr)
+      );
+    }
+
+    if (comparable && result.addressScore >= ADDRESS_MATCH_SCORE) {
+      overallScore += weights.addressMatch;
+      result.details.push("Address matches");
+    } else if (comparable && result.addressScore < ADDRESS_MISMATCH_SCORE) {
+      overallScore -= weights.addressMismatch;
+      result.details.push("Address does not match");
+    }
   }
 
   // ID number match
   if (searchParams.idNumber && sdnEntry.ids) {
-    const normalizedSearchId = searchParams.idNumber.replace(/\D/g, "");
+    const normalizedSearchId = normalizeIdentifier(searchParams.idNumber);
     for (const id of sdnEntry.ids) {
-      const normalizedSdnId = id.number?.replace(/\D/g, "") || "";
-      if (normalizedSearchId === normalizedSdnId) {
+      const normalizedSdnId = normalizeIdentifier(id.number);
+      if (normalizedSearchId && normalizedSearchId === normalizedSdnId) {
         result.idMatch = true;
+        overallScore += weights.idMatch;
         result.details.push(`ID number matches (${id.type})`);
         break;
       }
     }
   }
 
-  // Calculate overall score
-  // Name: 60%, DOB: 20%, Address: 15%, ID: 5%
-  let overallScore = result.nameScore * 0.6;
-
-  if (result.dobMatch) {
-    overallScore += 20;
-  }
-
-  overallScore += result.addressScore * 0.15;
-
-  if (result.idMatch) {
-    overallScore += 5;
-  }
-
-  result.score = Math.min(100, Math.round(overallScore));
+  result.score = Math.max(0, Math.min(100, Math.round(overallScore)));
 
   return result;
 }
@@ -356,13 +646,19 @@ export function calculateMatchScore(searchParams, sdnEntry) {
  * @param {Object} searchParams - Search parameters
  * @param {Array} sdnEntries - SDN entries to search
  * @param {number} threshold - Minimum score threshold (default 85)
+ * @param {Object} weights - Scoring weights (see DEFAULT_SCORING_WEIGHTS)
  * @returns {Array} - Matching entries with scores
  */
-export function searchSDN(searchParams, sdnEntries, threshold = 85) {
+export function searchSDN(
+  searchParams,
+  sdnEntries,
+  threshold = DEFAULT_MATCH_THRESHOLD,
+  weights = DEFAULT_SCORING_WEIGHTS
+) {
   const matches = [];
 
   for (const entry of sdnEntries) {
-    const matchResult = calculateMatchScore(searchParams, entry);
+    const matchResult = calculateMatchScore(searchParams, entry, weights);
 
     if (matchResult.score >= threshold) {
       matches.push({
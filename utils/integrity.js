@@ -0,0 +1,100 @@
+/**
+ * Screening Record Integrity
+ * Seals each saved screening with a reference ID and a SHA-256 digest of its
+ * canonical form, so a printed certificate can be checked against the record
+ * kept in IndexedDB
+ */
+
+// Fields fixed when the screening ran; later additions such as reviewer
+// dispositions are left out so they do not change the digest
+const SEALED_FIELDS = [
+  "refId",
+  "timestamp",
+  "searchParams",
+  "result",
+  "matchCount",
+  "threshold",
+  "weights",
+  "matches",
+  "listSnapshot",
+  "algorithmVersion",
+  "store",
+];
+
+/**
+ * Generate a reference ID for a screening
+ * @returns {string} - e.g. OFAC-LZ3K9Q1A-7F2C9E1B
+ */
+export function generateRefId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(4)))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase();
+  return `OFAC-${timestamp}-${random}`;
+}
+
+/**
+ * Serialize a value as JSON with object keys in sorted order
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const members = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compute the SHA-256 digest of a screening record's sealed fields
+ * @param {Object} record - Screening record
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function computeDigest(record) {
+  const sealed = {};
+  for (const field of SEALED_FIELDS) {
+    sealed[field] = record[field];
+  }
+
+  const bytes = new TextEncoder().encode(canonicalJSON(sealed));
+  const hash = await crypto.subtle.digest("SHA-256", bytes);
+
+  return Array.from(new Uint8Array(hash))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Seal a screening before it is saved
+ * @param {Object} searchData - Search parameters and result
+ * @returns {Promise<Object>} - The record with refId, timestamp and digest
+ */
+export async function sealRecord(searchData) {
+  const record = {
+    ...searchData,
+    refId: generateRefId(),
+    timestamp: new Date().toISOString(),
+  };
+
+  record.digest = await computeDigest(record);
+  return record;
+}
+
+/**
+ * Check that a stored record still matches its digest
+ * @param {Object} record - Stored screening record
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRecord(record) {
+  return record.digest === (await computeDigest(record));
+}
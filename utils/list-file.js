@@ -0,0 +1,113 @@
+/**
+ * Sanctions List File Import
+ * Reads a list file saved locally (for when the download sources are
+ * unreachable) through the same parsers as the scheduled downloads:
+ * OpenSanctions CSV or JSON, or OFAC's own XML.
+ */
+
+import { parseOpenSanctionsJSON, parseSDNCSV } from "./ofac-data.js";
+import { parseTreasuryXML } from "./treasury-xml.js";
+
+// First columns of the OpenSanctions simple CSV
+const CSV_HEADER = ["id", "schema", "name"];
+
+/**
+ * Work out a list file's format from its extension, or its content
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string} - "csv", "xml" or "json"
+ */
+function detectFormat(fileName, text) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (["csv", "xml", "json"].includes(extension)) return extension;
+
+  const start = text.trimStart()[0];
+  if (start === "<") return "xml";
+  if (start === "{") return "json";
+  return "csv";
+}
+
+/**
+ * Parse an OpenSanctions simple CSV file
+ * @param {string} text - File contents
+ * @returns {Object} - {entries, publishDate, format}
+ * @throws {Error} - If the columns are not the OpenSanctions ones
+ */
+function parseCSVFile(text) {
+  const header = text
+    .split("\n")[0]
+    .replace(/^\uFEFF/, "")
+    .split(",")
+    .map((column) => column.trim().toLowerCase());
+
+  if (CSV_HEADER.some((column, i) => header[i] !== column)) {
+    throw new Error(
+      "The CSV file is not an OpenSanctions list (targets.simple.csv)."
+    );
+  }
+
+  return { entries: parseSDNCSV(text), publishDate: null, format: "CSV" };
+}
+
+/**
+ * Parse an OpenSanctions JSON file
+ * @param {string} text - File contents
+ * @returns {Object} - {entries, publishDate, format}
+ * @throws {Error} - If a line is not JSON
+ */
+function parseJSONFile(text) {
+  try {
+    return {
+      entries: parseOpenSanctionsJSON(text),
+      publishDate: null,
+      format: "JSON",
+    };
+  } catch (error) {
+    throw new Error(
+      "The JSON file is not an OpenSanctions export (entities.ftm.json)."
+    );
+  }
+}
+
+/**
+ * Parse and validate a sanctions list file
+ * Entries without an ID or a name are skipped
+ * @param {File} file - CSV, XML or JSON list file
+ * @returns {Promise<Object>} - {entries, publishDate, format, skipped}
+ * @throws {Error} - If the file cannot be read or holds no entries
+ */
+export async function parseListFile(file) {
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+
+  const parsed =
+    format === "xml"
+      ? parseTreasuryXML(text)
+      : format === "json"
+      ? parseJSONFile(text)
+      : parseCSVFile(text);
+
+  const entries = parsed.entries.filter((entry) => entry.uid && entry.fullName);
+  if (entries.length === 0) {
+    throw new Error("The file contains no list entries.");
+  }
+
+  return {
+    ...parsed,
+    entries,
+    skipped: parsed.entries.length - entries.length,
+  };
+}
+
+/**
+ * Compute the SHA-256 digest of a file
+ * @param {File} file - File to hash
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function hashFile(file) {
+  const hash = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+
+  return Array.from(new Uint8Array(hash))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
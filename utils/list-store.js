@@ -0,0 +1,104 @@
+/**
+ * Sanctions List Storage
+ * Replaces a list's entries and keeps its metadata (per-list status and the
+ * combined summary the popup shows). Shared by the scheduled downloads in
+ * the service worker and lists loaded from a file on the settings page.
+ */
+
+import { buildSearchIndex, SEARCH_INDEX_VERSION } from "./search-index.js";
+import { SANCTIONS_LISTS, SDN_LIST_ID } from "./sanctions-lists.js";
+import {
+  replaceSDNEntries,
+  getAllSDNEntries,
+  storeSearchIndex,
+  saveSetting,
+  getSetting,
+} from "./storage.js";
+
+/**
+ * Get the metadata of every list
+ * @returns {Promise<Object>} - {listId: {lastUpdate, publishDate, entryCount, source, file, lastError}}
+ */
+export async function getListStatus() {
+  return (await getSetting("listStatus")) || {};
+}
+
+/**
+ * Update the metadata of one list
+ * @param {string} listId - List ID
+ * @param {Object} changes - Fields to set
+ */
+export async function saveListStatus(listId, changes) {
+  const listStatus = await getListStatus();
+  listStatus[listId] = { ...listStatus[listId], ...changes };
+  await saveSetting("listStatus", listStatus);
+}
+
+/**
+ * Replace a list's entries with a freshly parsed copy
+ * The search index is stale until rebuildSearchIndex runs
+ * @param {Object} list - List from the registry
+ * @param {Object} result - {entries, publishDate, downloadedAt, source, file}
+ *   where file is {name, size, sha256} for a list imported from a file
+ */
+export async function replaceListEntries(list, result) {
+  const entries = result.entries.map((entry) => ({ ...entry, list: list.id }));
+
+  await saveSetting("searchIndexVersion", null);
+  await replaceSDNEntries(list.id, entries);
+
+  await saveListStatus(list.id, {
+    lastUpdate: result.downloadedAt,
+    publishDate: result.publishDate,
+    entryCount: entries.length,
+    source: result.source,
+    file: result.file || null,
+    lastError: null,
+  });
+}
+
+/**
+ * Build the search index for every stored entry and persist it
+ */
+export async function rebuildSearchIndex() {
+  const entries = await getAllSDNEntries();
+  await storeSearchIndex(buildSearchIndex(entries));
+  await saveSetting("searchIndexVersion", SEARCH_INDEX_VERSION);
+}
+
+/**
+ * Save the combined metadata the popup shows for all lists
+ * The last update is the oldest list's, so it never overstates freshness
+ */
+export async function saveListSummary() {
+  const listStatus = await getListStatus();
+  const statuses = SANCTIONS_LISTS.map((list) => listStatus[list.id]).filter(
+    (status) => status?.lastUpdate
+  );
+
+  const lastUpdate = statuses
+    .map((status) => status.lastUpdate)
+    .sort()
+    .shift();
+
+  await saveSetting("lastUpdate", lastUpdate || null);
+  await saveSetting(
+    "publishDate",
+    listStatus[SDN_LIST_ID]?.publishDate || null
+  );
+  await saveSetting(
+    "entryCount",
+    statuses.reduce((total, status) => total + status.entryCount, 0)
+  );
+}
+
+/**
+ * Clear the failed update status once no list is left with an error
+ */
+export async function clearUpdateError() {
+  const listStatus = await getListStatus();
+  if (SANCTIONS_LISTS.some((list) => listStatus[list.id]?.lastError)) return;
+
+  await saveSetting("updateStatus", "complete");
+  await saveSetting("lastError", null);
+}
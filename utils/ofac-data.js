@@ -1,20 +1,25 @@
 /**
  * OFAC SDN Data Fetcher and Parser
- * Downloads and parses the official OFAC SDN list
- * Uses OpenSanctions mirror which is publicly accessible
+ * Downloads and parses the sanctions lists in the registry (sanctions-lists.js)
+ * Uses OpenSanctions mirrors which are publicly accessible
  * (Treasury.gov blocks direct browser/extension requests)
  */
 
-// OpenSanctions mirror of OFAC SDN data - publicly accessible
-const SDN_CSV_URL =
-  "https://data.opensanctions.org/datasets/latest/us_ofac_sdn/targets.simple.csv";
+import {
+  getCountryName,
+  parseAddress,
+  parseIdentifiers,
+  splitValues,
+} from "./entry-fields.js";
 
 /**
- * Fetch the SDN CSV from OpenSanctions
- * @returns {Promise<string>} - Raw CSV text
+ * Fetch a list's CSV from OpenSanctions
+ * @param {string} url - Download URL of the list
+ * @returns {Promise<Object>} - {csvText, lastModified} where lastModified is
+ *   the Last-Modified header, if any
  */
-async function fetchSDNCSV() {
-  const response = await fetch(SDN_CSV_URL, {
+async function fetchListCSV(url) {
+  const response = await fetch(url, {
     method: "GET",
     headers: {
       Accept: "text/csv, text/plain, */*",
@@ -27,7 +32,42 @@ async function fetchSDNCSV() {
 
   const csvText = await response.text();
 
-  return csvText;
+  return { csvText, lastModified: response.headers.get("Last-Modified") };
+}
+
+/**
+ * Fetch when a list's data last changed from its OpenSanctions dataset
+ * metadata
+ * The publish date is informational, so a failure here does not stop the
+ * download
+ * @param {Object} list - List from the registry
+ * @returns {Promise<string|null>} - ISO timestamp, or null if unavailable
+ */
+async function fetchListPublishDate(list) {
+  if (!list.metadataUrl) return null;
+
+  try {
+    const response = await fetch(list.metadataUrl, {
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) return null;
+
+    const metadata = await response.json();
+    return metadata.last_change || metadata.updated_at || null;
+  } catch (error) {
+    console.warn(`Failed to read ${list.name} metadata:`, error);
+    return null;
+  }
+}
+
+/**
+ * Convert an HTTP date header to an ISO timestamp
+ * @param {string|null} header - e.g. "Wed, 14 Oct 2026 18:05:12 GMT"
+ * @returns {string|null}
+ */
+function headerToISO(header) {
+  const date = new Date(header);
+  return header && !isNaN(date) ? date.toISOString() : null;
 }
 
 /**
@@ -35,7 +75,7 @@ async function fetchSDNCSV() {
  * @param {string} line - CSV line
  * @returns {string[]} - Array of field values
  */
-function parseCSVLine(line) {
+export function parseCSVLine(line) {
   const fields = [];
   let current = "";
   let inQuotes = false;
@@ -67,7 +107,7 @@ function parseCSVLine(line) {
  * @param {string} nameStr - Name string from CSV
  * @returns {Object} - {firstName, middleName, lastName}
  */
-function parseName(nameStr) {
+export function parseName(nameStr) {
   if (!nameStr) return { firstName: "", middleName: "", lastName: "" };
 
   // OpenSanctions format: usually "LAST NAME, First Middle" or just "Name"
@@ -105,14 +145,31 @@ function parseName(nameStr) {
 }
 
 /**
- * Parse the SDN CSV text into entries
+ * Get the entry type for an OpenSanctions schema
+ * @param {string} schema - e.g. "Person", "Company", "Vessel"
+ * @returns {string} - Individual, Entity, Vessel or Aircraft
+ */
+function getEntryType(schema) {
+  const value = schema.toLowerCase();
+  if (value.includes("person")) return "Individual";
+  if (value.includes("vessel")) return "Vessel";
+  if (value.includes("aircraft") || value.includes("airplane")) {
+    return "Aircraft";
+  }
+  return "Entity";
+}
+
+/**
+ * Parse an OpenSanctions list CSV text into entries
  * OpenSanctions simple CSV format:
  * id,schema,name,aliases,birth_date,countries,addresses,identifiers,sanctions,dataset
+ * Multi-value columns are split into structured records: every birth date
+ * (partial dates and ranges as published), each address and each identifier
  *
  * @param {string} csvText - Raw CSV text
  * @returns {Array} - Array of parsed SDN entries
  */
-function parseSDNCSV(csvText) {
+export function parseSDNCSV(csvText) {
   const lines = csvText.split("\n");
   const entries = [];
 
@@ -139,15 +196,7 @@ function parseSDNCSV(csvText) {
       // Parse the name
       const { firstName, middleName, lastName } = parseName(name);
 
-      // Determine type from schema
-      let type = "Entity";
-      if (schema.toLowerCase().includes("person")) {
-        type = "Individual";
-      } else if (schema.toLowerCase().includes("vessel")) {
-        type = "Vessel";
-      } else if (schema.toLowerCase().includes("aircraft")) {
-        type = "Aircraft";
-      }
+      const type = getEntryType(schema);
 
       // Parse programs from sanctions field
       const programs = sanctions
@@ -157,8 +206,11 @@ function parseSDNCSV(csvText) {
             .filter(Boolean)
         : [];
 
-      // Parse country
-      const countryList = countries ? countries.split(";")[0].trim() : "";
+      const countryNames = splitValues(countries).map(getCountryName);
+      const addressList = splitValues(addresses).map((address) =>
+        parseAddress(address, countryNames)
+      );
+      const country = countryNames[0] || addressList[0]?.country || "";
 
       const entry = {
         uid,
@@ -169,20 +221,22 @@ function parseSDNCSV(csvText) {
         type,
         programs,
         remarks: `Aliases: ${aliases || "None"}`,
-        dob: birthDate,
+        dob: splitValues(birthDate).join(";"),
         pob: "",
-        nationality: countryList,
-        addresses: [],
-        ids: identifiers ? [{ type: "ID", number: identifiers }] : [],
+        nationality: country,
+        addresses: addressList,
+        ids: parseIdentifiers(identifiers),
         aliases: aliases
           ? aliases
               .split(";")
-              .map((a) => ({ firstName: "", lastName: a.trim() }))
+              .map((a) => a.trim())
+              .filter(Boolean)
+              .map((a) => ({ ...parseName(a), fullName: a }))
           : [],
-        address: addresses,
-        city: "",
-        state: "",
-        country: countryList,
+        address: splitValues(addresses).join("; "),
+        city: addressList[0]?.city || "",
+        state: addressList[0]?.state || "",
+        country,
       };
 
       entries.push(entry);
@@ -194,20 +248,113 @@ function parseSDNCSV(csvText) {
   return entries;
 }
 
+// OpenSanctions identifier properties and the ID type they hold
+const OPENSANCTIONS_ID_TYPES = {
+  passportNumber: "Passport",
+  idNumber: "National ID",
+  taxNumber: "Tax ID",
+  innCode: "Tax ID",
+  registrationNumber: "Registration Number",
+  ogrnCode: "Registration Number",
+  swiftBic: "SWIFT/BIC",
+  imoNumber: "IMO Number",
+  mmsi: "MMSI",
+};
+
+/**
+ * Parse an OpenSanctions JSON export into entries
+ * Reads the FollowTheMoney line-per-entity files (entities.ftm.json and
+ * targets.nested.json); only sanctioned targets become entries
+ * @param {string} jsonText - Raw JSON text, one entity per line
+ * @returns {Array} - Array of parsed SDN entries
+ */
+export function parseOpenSanctionsJSON(jsonText) {
+  const entities = jsonText
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  // Sanction entities name their target; nested exports embed them
+  const programsByTarget = {};
+  for (const entity of entities) {
+    const sanctions =
+      entity.schema === "Sanction" ? [entity] : entity.properties?.sanctions;
+    for (const sanction of sanctions || []) {
+      const targetId =
+        entity.schema === "Sanction"
+          ? sanction.properties?.entity?.[0]
+          : entity.id;
+      const programs = [
+        ...(sanction.properties?.programId || []),
+        ...(sanction.properties?.program || []),
+      ];
+      programsByTarget[targetId] = [
+        ...(programsByTarget[targetId] || []),
+        ...programs,
+      ];
+    }
+  }
+
+  return entities
+    .filter((entity) => entity.target && entity.schema !== "Sanction")
+    .map((entity) => {
+      const props = entity.properties || {};
+      const values = (name) =>
+        (props[name] || []).filter((value) => typeof value === "string");
+      const name = values("name")[0] || entity.caption || "";
+      const aliases = [...values("alias"), ...values("name").slice(1)];
+      const countries = [...values("nationality"), ...values("country")].map(
+        getCountryName
+      );
+      const addresses = values("address").map((address) =>
+        parseAddress(address, countries)
+      );
+
+      return {
+        uid: entity.id,
+        ...parseName(name),
+        fullName: name,
+        type: getEntryType(entity.schema || ""),
+        programs: [...new Set(programsByTarget[entity.id] || [])],
+        remarks: `Aliases: ${aliases.join("; ") || "None"}`,
+        dob: values("birthDate").join(";"),
+        pob: values("birthPlace")[0] || "",
+        nationality: countries[0] || "",
+        addresses,
+        ids: Object.entries(OPENSANCTIONS_ID_TYPES).flatMap(([prop, type]) =>
+          values(prop).map((number) => ({ type, number }))
+        ),
+        aliases: aliases.map((alias) => ({
+          ...parseName(alias),
+          fullName: alias,
+        })),
+        address: values("address").join("; "),
+        city: addresses[0]?.city || "",
+        state: addresses[0]?.state || "",
+        country: countries[0] || addresses[0]?.country || "",
+      };
+    });
+}
+
 /**
- * Download and parse the SDN list
+ * Download and parse one sanctions list
+ * The publish date is when the list data last changed, from the dataset
+ * metadata or else the file's Last-Modified header; null if neither is known
+ * @param {Object} list - List from the registry (see sanctions-lists.js)
  * @returns {Promise<Object>} - Object containing entries array and metadata
  */
-export async function downloadAndParseSDN() {
-  const csvText = await fetchSDNCSV();
-  const entries = parseSDNCSV(csvText);
+export async function downloadAndParseList(list) {
+  const { csvText, lastModified } = await fetchListCSV(list.url);
+  const entries = list.parse(csvText);
 
   return {
     entries,
-    publishDate: new Date().toISOString().split("T")[0],
+    publishDate:
+      (await fetchListPublishDate(list)) || headerToISO(lastModified),
     count: entries.length,
     downloadedAt: new Date().toISOString(),
-    source: "OpenSanctions (OFAC SDN mirror)",
+    source: list.source,
   };
 }
 
@@ -248,7 +395,11 @@ export function formatEntryForDisplay(entry) {
     ids: entry.ids.map((id) => `${id.type}: ${id.number}`).join("; ") || "N/A",
     aliases:
       entry.aliases
-        .map((a) => `${a.firstName} ${a.lastName}`.trim())
+        .map(
+          (a) =>
+            a.fullName ||
+            [a.firstName, a.middleName, a.lastName].filter(Boolean).join(" ")
+        )
         .join(", ") || "None",
     remarks: entry.remarks || "",
   };
@@ -0,0 +1,652 @@
+/**
+ * Minimal PDF Writer
+ * Lays out a list of report blocks (title, banner, label/value rows,
+ * paragraphs, signature lines) on US Letter pages and serializes them as a
+ * PDF 1.4 file using the standard Helvetica and Courier fonts, so no font
+ * data needs to be embedded
+ */
+
+import { downloadFile } from "./download.js";
+import { transliterate } from "./transliterate.js";
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_HEIGHT = 30;
+
+// Font resource names
+const FONTS = {
+  regular: { name: "F1", base: "Helvetica" },
+  bold: { name: "F2", base: "Helvetica-Bold" },
+  mono: { name: "F3", base: "Courier" },
+};
+
+// Glyph widths (1/1000 em) for WinAnsi codes 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Every Courier glyph is 600 units wide
+const COURIER_WIDTH = 600;
+
+// Unicode punctuation that WinAnsiEncoding places in the 0x80-0x9F range
+const WIN_ANSI_EXTRAS = {
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "…": 0x85,
+  "€": 0x80,
+};
+
+// Banner colors per tone: [background, border, text]
+const BANNER_TONES = {
+  passed: ["#d4edda", "#28a745", "#155724"],
+  pending: ["#f8d7da", "#dc3545", "#721c24"],
+  confirmed: ["#f8d7da", "#dc3545", "#721c24"],
+  escalated: ["#fff3cd", "#ffc107", "#856404"],
+};
+
+/**
+ * Encode text as single-byte WinAnsi characters
+ * Characters outside the encoding are romanized (so Cyrillic, Greek and
+ * Arabic names stay readable), or replaced by "?" when that is not possible
+ * @param {string} text - Text to encode
+ * @returns {string} - String whose char codes are all 0-255
+ */
+function toWinAnsi(text) {
+  let result = "";
+  for (const char of String(text ?? "")) {
+    const code = char.charCodeAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      result += char;
+    } else if (char in WIN_ANSI_EXTRAS) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else {
+      const latin = transliterate(char).replace(/[^\x20-\x7e]/g, "");
+      const isUpper = char !== char.toLowerCase();
+      result += latin
+        ? isUpper
+          ? latin[0].toUpperCase() + latin.slice(1)
+          : latin
+        : "?";
+    }
+  }
+  return result;
+}
+
+/**
+ * Width of encoded text in points
+ * @param {string} text - WinAnsi-encoded text
+ * @param {string} font - Font key ("regular", "bold" or "mono")
+ * @param {number} size - Font size
+ * @returns {number}
+ */
+function textWidth(text, font, size) {
+  if (font === "mono") return (text.length * COURIER_WIDTH * size) / 1000;
+
+  const widths = font === "bold" ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) {
+      units += widths[code - 32];
+    } else {
+      // Accented Latin-1 letters are about as wide as their base letter
+      const base = char.normalize("NFD").charCodeAt(0);
+      units += base >= 32 && base <= 126 ? widths[base - 32] : 556;
+    }
+  }
+
+  return (units * size) / 1000;
+}
+
+/**
+ * Wrap text to lines that fit a width
+ * Words longer than a line (e.g. digests) are broken between characters
+ * @param {string} text - Text to wrap (may contain newlines)
+ * @param {string} font - Font key
+ * @param {number} size - Font size
+ * @param {number} width - Available width in points
+ * @returns {string[]} - Encoded lines
+ */
+function wrapText(text, font, size, width) {
+  const lines = [];
+
+  for (const paragraph of toWinAnsi(text).split("\n")) {
+    let line = "";
+
+    for (const word of paragraph.split(" ")) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = "";
+
+      // Break a word that is wider than the whole line
+      for (const char of word) {
+        if (textWidth(line + char, font, size) > width && line) {
+          lines.push(line);
+          line = "";
+        }
+        line += char;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Escape a string for a PDF literal string
+ * @param {string} text - Encoded text
+ * @returns {string}
+ */
+function escapePDFString(text) {
+  return text.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Convert a hex color to PDF color components
+ * @param {string} hex - e.g. "#1a1a1a"
+ * @returns {string} - e.g. "0.102 0.102 0.102"
+ */
+function pdfColor(hex) {
+  return [1, 3, 5]
+    .map((i) => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))
+    .join(" ");
+}
+
+/**
+ * Create the layout state: pages of content stream operators, the images
+ * they reference, and a cursor
+ * @returns {Object}
+ */
+function createLayout() {
+  const layout = { pages: [], images: [], ops: null, y: 0 };
+  addPage(layout);
+  return layout;
+}
+
+/**
+ * Start a new page
+ * @param {Object} layout - Layout state
+ */
+function addPage(layout) {
+  layout.ops = [];
+  layout.pages.push(layout.ops);
+  layout.y = PAGE_HEIGHT - MARGIN;
+}
+
+/**
+ * Move to a new page unless the current one has the given height left
+ * @param {Object} layout - Layout state
+ * @param {number} height - Height needed in points
+ */
+function ensureSpace(layout, height) {
+  if (layout.y - height < MARGIN + FOOTER_HEIGHT) {
+    addPage(layout);
+  }
+}
+
+/**
+ * Draw one line of encoded text
+ * @param {Object} layout - Layout state
+ * @param {Object} options - {text, x, y, font, size, color}
+ */
+function drawText(layout, { text, x, y, font = "regular", size, color }) {
+  layout.ops.push(
+    `BT /${FONTS[font].name} ${size} Tf ${pdfColor(
+      color || "#1a1a1a"
+    )} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePDFString(text)}) Tj ET`
+  );
+}
+
+/**
+ * Draw a horizontal rule across the content width
+ * @param {Object} layout - Layout state
+ * @param {number} y - Vertical position
+ * @param {number} width - Line width
+ * @param {string} color - Hex color
+ */
+function drawRule(layout, y, width, color) {
+  layout.ops.push(
+    `${width} w ${pdfColor(color)} RG ${MARGIN} ${y.toFixed(2)} m ${
+      PAGE_WIDTH - MARGIN
+    } ${y.toFixed(2)} l S`
+  );
+}
+
+/**
+ * Draw wrapped text and advance the cursor
+ * @param {Object} layout - Layout state
+ * @param {Object} options - {text, font, size, color, align, x, width, lineHeight}
+ */
+function drawParagraph(
+  layout,
+  {
+    text,
+    font = "regular",
+    size = 10,
+    color,
+    align = "left",
+    x = MARGIN,
+    width = CONTENT_WIDTH,
+    lineHeight = size * 1.4,
+  }
+) {
+  for (const line of wrapText(text, font, size, width)) {
+    ensureSpace(layout, lineHeight);
+    layout.y -= lineHeight;
+
+    const lineX =
+      align === "center" ? x + (width - textWidth(line, font, size)) / 2 : x;
+    drawText(layout, { text: line, x: lineX, y: layout.y, font, size, color });
+  }
+}
+
+/**
+ * Lay out one report block
+ * @param {Object} layout - Layout state
+ * @param {Object} block - Block description (see renderPDF)
+ */
+function drawBlock(layout, block) {
+  switch (block.type) {
+    case "title": {
+      drawParagraph(layout, {
+        text: block.text,
+        font: "bold",
+        size: 18,
+        align: "center",
+      });
+      if (block.subtitle) {
+        drawParagraph(layout, {
+          text: block.subtitle,
+          size: 11,
+          color: "#666666",
+          align: "center",
+        });
+      }
+      layout.y -= 12;
+      drawRule(layout, layout.y, 2, "#1a1a1a");
+      layout.y -= 10;
+      break;
+    }
+
+    case "banner": {
+      const [background, border, color] = BANNER_TONES[block.tone];
+      const height = 36;
+      ensureSpace(layout, height + 20);
+      layout.y -= 10 + height;
+      layout.ops.push(
+        `${pdfColor(background)} rg ${pdfColor(border)} RG 1.5 w ${MARGIN} ${
+          layout.y
+        } ${CONTENT_WIDTH} ${height} re B`
+      );
+      const text = toWinAnsi(block.text);
+      drawText(layout, {
+        text,
+        x: MARGIN + (CONTENT_WIDTH - textWidth(text, "bold", 14)) / 2,
+        y: layout.y + 13,
+        font: "bold",
+        size: 14,
+        color,
+      });
+      layout.y -= 10;
+      break;
+    }
+
+    case "heading": {
+      ensureSpace(layout, 60);
+      layout.y -= 14;
+      drawParagraph(layout, {
+        text: block.text.toUpperCase(),
+        font: "bold",
+        size: 11,
+      });
+      layout.y -= 5;
+      drawRule(layout, layout.y, 0.75, "#dddddd");
+      break;
+    }
+
+    case "subheading": {
+      ensureSpace(layout, 50);
+      layout.y -= 8;
+      const right = toWinAnsi(block.right || "");
+      const rightWidth = textWidth(right, "bold", 12);
+      const top = layout.y;
+      drawParagraph(layout, {
+        text: block.text,
+        font: "bold",
+        size: 12,
+        width: CONTENT_WIDTH - rightWidth - 12,
+      });
+      if (right) {
+        drawText(layout, {
+          text: right,
+          x: PAGE_WIDTH - MARGIN - rightWidth,
+          y: top - 12 * 1.4,
+          font: "bold",
+          size: 12,
+        });
+      }
+      layout.y -= 4;
+      break;
+    }
+
+    case "rows": {
+      const labelWidth = CONTENT_WIDTH * (block.labelRatio || 0.35);
+      const valueX = MARGIN + labelWidth;
+      const valueWidth = CONTENT_WIDTH - labelWidth;
+      const size = block.size || 10;
+      const lineHeight = size * 1.4;
+
+      for (const [label, value, font = "regular"] of block.rows) {
+        const valueLines = wrapText(value, font, size, valueWidth);
+        ensureSpace(layout, valueLines.length * lineHeight + 8);
+
+        layout.y -= 4;
+        drawText(layout, {
+          text: toWinAnsi(`${label}:`),
+          x: MARGIN,
+          y: layout.y - lineHeight,
+          font: "bold",
+          size,
+          color: "#333333",
+        });
+        valueLines.forEach((line, i) => {
+          drawText(layout, {
+            text: line,
+            x: valueX,
+            y: layout.y - lineHeight * (i + 1),
+            font,
+            size,
+          });
+        });
+
+        layout.y -= valueLines.length * lineHeight + 4;
+        drawRule(layout, layout.y, 0.5, "#eeeeee");
+      }
+      break;
+    }
+
+    case "paragraph": {
+      layout.y -= block.spaceBefore || 0;
+      drawParagraph(layout, {
+        text: block.text,
+        font: block.font,
+        size: block.size || 10,
+        color: block.color,
+        align: block.align,
+      });
+      break;
+    }
+
+    case "signatures": {
+      const gap = 40;
+      const width =
+        (CONTENT_WIDTH - gap * (block.labels.length - 1)) / block.labels.length;
+      ensureSpace(layout, 70);
+      layout.y -= 50;
+
+      block.labels.forEach((label, i) => {
+        const x = MARGIN + i * (width + gap);
+        layout.ops.push(
+          `0.75 w ${pdfColor("#1a1a1a")} RG ${x.toFixed(2)} ${layout.y} m ${(
+            x + width
+          ).toFixed(2)} ${layout.y} l S`
+        );
+        drawText(layout, {
+          text: toWinAnsi(label),
+          x,
+          y: layout.y - 14,
+          size: 9,
+          color: "#333333",
+        });
+      });
+
+      layout.y -= 24;
+      break;
+    }
+
+    case "letterhead": {
+      const logoHeight = 48;
+      const top = layout.y;
+      let textX = MARGIN;
+      let bottom = top;
+
+      if (block.logo) {
+        const scale = Math.min(
+          logoHeight / block.logo.height,
+          160 / block.logo.width
+        );
+        const width = block.logo.width * scale;
+        const height = block.logo.height * scale;
+
+        layout.images.push(block.logo);
+        layout.ops.push(
+          `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${MARGIN} ${(
+            top - height
+          ).toFixed(2)} cm /Im${layout.images.length} Do Q`
+        );
+
+        textX = MARGIN + width + 14;
+        bottom = top - height;
+      }
+
+      const textWidthLimit = PAGE_WIDTH - MARGIN - textX;
+      drawParagraph(layout, {
+        text: block.name,
+        font: "bold",
+        size: 13,
+        x: textX,
+        width: textWidthLimit,
+      });
+      for (const line of block.lines || []) {
+        drawParagraph(layout, {
+          text: line,
+          size: 9,
+          color: "#444444",
+          x: textX,
+          width: textWidthLimit,
+        });
+      }
+
+      layout.y = Math.min(layout.y, bottom) - 16;
+      break;
+    }
+
+    case "rule": {
+      layout.y -= 12;
+      drawRule(layout, layout.y, 2, "#1a1a1a");
+      break;
+    }
+  }
+}
+
+/**
+ * Add the footer line and page number to every page
+ * @param {Object} layout - Layout state
+ * @param {string} footer - Footer text
+ */
+function drawFooters(layout, footer) {
+  const total = layout.pages.length;
+
+  layout.pages.forEach((ops, i) => {
+    layout.ops = ops;
+    const text = toWinAnsi(
+      `${footer ? `${footer}  |  ` : ""}Page ${i + 1} of ${total}`
+    );
+    drawText(layout, {
+      text,
+      x: (PAGE_WIDTH - textWidth(text, "regular", 8)) / 2,
+      y: MARGIN - 10,
+      size: 8,
+      color: "#666666",
+    });
+  });
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date
+ * @returns {string} - e.g. D:20240115093000Z
+ */
+function pdfDate(date) {
+  return `D:${date
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .replace(/\.\d+Z$/, "")}Z`;
+}
+
+/**
+ * Serialize laid-out pages as a PDF file
+ * @param {Array<Array<string>>} pages - Content stream operators per page
+ * @param {Array<Object>} images - JPEG images drawn as /Im1, /Im2, ...
+ * @param {string} title - Document title
+ * @returns {Uint8Array} - PDF bytes
+ */
+function serializePDF(pages, images, title) {
+  const objects = [];
+
+  // 1: catalog, 2: page tree, 3-5: fonts, 6: document info
+  const fontObjects = Object.values(FONTS).map((font, i) => ({
+    name: font.name,
+    id: 3 + i,
+  }));
+  const fontResources = fontObjects
+    .map((font) => `/${font.name} ${font.id} 0 R`)
+    .join(" ");
+
+  const pageIds = pages.map((_, i) => 7 + i * 2);
+
+  // Images follow the pages and their content streams
+  const imageIds = images.map((_, i) => 7 + pages.length * 2 + i);
+  const imageResources = imageIds
+    .map((id, i) => `/Im${i + 1} ${id} 0 R`)
+    .join(" ");
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+
+  Object.values(FONTS).forEach((font, i) => {
+    objects[
+      3 + i
+    ] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+  });
+
+  objects[6] = `<< /Title (${escapePDFString(
+    toWinAnsi(title)
+  )}) /Producer (OFAC Compliance Search Extension) /CreationDate (${pdfDate(
+    new Date()
+  )}) >>`;
+
+  pages.forEach((ops, i) => {
+    const pageId = pageIds[i];
+    const stream = ops.join("\n");
+
+    objects[
+      pageId
+    ] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> /XObject << ${imageResources} >> >> /Contents ${
+      pageId + 1
+    } 0 R >>`;
+    objects[
+      pageId + 1
+    ] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  images.forEach((image, i) => {
+    objects[
+      imageIds[i]
+    ] = `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${image.data}\nendstream`;
+  });
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let output = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(output.length);
+  for (let i = 0; i < output.length; i++) {
+    bytes[i] = output.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Render report blocks as a PDF
+ *
+ * Block types:
+ * - {type: "title", text, subtitle}
+ * - {type: "banner", text, tone: "passed"|"pending"|"escalated"|"confirmed"}
+ * - {type: "heading", text}
+ * - {type: "subheading", text, right}
+ * - {type: "rows", rows: [[label, value, font?]], labelRatio, size}
+ * - {type: "paragraph", text, font, size, color, align, spaceBefore}
+ * - {type: "signatures", labels}
+ * - {type: "letterhead", name, lines, logo: {data, width, height}}
+ *   (logo data is a binary string of baseline RGB JPEG bytes)
+ * - {type: "rule"}
+ *
+ * @param {Array<Object>} blocks - Report blocks, top to bottom
+ * @param {Object} options - {title, footer}
+ * @returns {Uint8Array} - PDF bytes
+ */
+export function renderPDF(blocks, { title, footer }) {
+  const layout = createLayout();
+
+  for (const block of blocks) {
+    drawBlock(layout, block);
+  }
+
+  drawFooters(layout, footer);
+  return serializePDF(layout.pages, layout.images, title);
+}
+
+/**
+ * Save PDF bytes as a file download
+ * @param {Uint8Array} bytes - PDF bytes
+ * @param {string} fileName - File name including .pdf
+ */
+export function downloadPDF(bytes, fileName) {
+  downloadFile(bytes, fileName, "application/pdf");
+}
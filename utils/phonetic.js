@@ -0,0 +1,676 @@
+/**
+ * Phonetic Encoding Utilities for OFAC Name Matching
+ * Implements Lawrence Philips' Double Metaphone algorithm, which reduces a
+ * name to primary and alternate codes for how it sounds in English, so
+ * sound-alike spellings ("Smith" / "Schmidt", "Kaddafi" / "Qadhafi") share a code
+ */
+
+// Codes are truncated to this length, as in the original algorithm
+const MAX_CODE_LENGTH = 4;
+
+// Cache of encoded tokens - SDN names repeat across entries and searches
+const codeCache = new Map();
+
+/**
+ * Encode a word with Double Metaphone
+ * @param {string} word - Single word (Latin letters; others are ignored)
+ * @returns {string[]} - [primary, secondary] codes (may be equal)
+ */
+export function doubleMetaphone(word) {
+  const str = (word || "").toUpperCase().replace(/[^A-Z]/g, "");
+  const length = str.length;
+  const last = length - 1;
+
+  let primary = "";
+  let secondary = "";
+  let index = 0;
+
+  const isSlavoGermanic = /W|K|CZ|WITZ/.test(str);
+  const isGermanic = /^(VAN|VON|SCH)/.test(str);
+
+  const charAt = (i) => (i >= 0 && i < length ? str[i] : "");
+  const isVowel = (i) => "AEIOUY".includes(charAt(i)) && charAt(i) !== "";
+  const stringAt = (start, len, ...options) =>
+    start >= 0 && options.includes(str.substr(start, len));
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  if (!length) return ["", ""];
+
+  // Skip these silent letters when at the start of a word
+  if (stringAt(0, 2, "GN", "KN", "PN", "WR", "PS")) index++;
+
+  // Initial 'X' is pronounced 'Z' e.g. 'Xavier'
+  if (charAt(0) === "X") {
+    add("S");
+    index++;
+  }
+
+  while (index < length) {
+    switch (charAt(index)) {
+      case "A":
+      case "E":
+      case "I":
+      case "O":
+      case "U":
+      case "Y":
+        // All initial vowels map to 'A'
+        if (index === 0) add("A");
+        index++;
+        break;
+
+      case "B":
+        add("P");
+        index += charAt(index + 1) === "B" ? 2 : 1;
+        break;
+
+      case "C":
+        // Various Germanic
+        if (
+          index > 1 &&
+          !isVowel(index - 2) &&
+          stringAt(index - 1, 3, "ACH") &&
+          charAt(index + 2) !== "I" &&
+          (charAt(index + 2) !== "E" ||
+            stringAt(index - 2, 6, "BACHER", "MACHER"))
+        ) {
+          add("K");
+          index += 2;
+          break;
+        }
+
+        // Special case 'Caesar'
+        if (index === 0 && stringAt(index, 6, "CAESAR")) {
+          add("S");
+          index += 2;
+          break;
+        }
+
+        // Italian 'Chianti'
+        if (stringAt(index, 4, "CHIA")) {
+          add("K");
+          index += 2;
+          break;
+        }
+
+        if (stringAt(index, 2, "CH")) {
+          // 'Michael'
+          if (index > 0 && stringAt(index, 4, "CHAE")) {
+            add("K", "X");
+            index += 2;
+            break;
+          }
+
+          // Greek roots e.g. 'Chemistry', 'Chorus'
+          if (
+            index === 0 &&
+            (stringAt(index + 1, 5, "HARAC", "HARIS") ||
+              stringAt(index + 1, 3, "HOR", "HYM", "HIA", "HEM")) &&
+            !stringAt(0, 5, "CHORE")
+          ) {
+            add("K");
+            index += 2;
+            break;
+          }
+
+          // Germanic, Greek, or otherwise 'ch' for 'kh' sound
+          if (
+            isGermanic ||
+            stringAt(index - 2, 6, "ORCHES", "ARCHIT", "ORCHID") ||
+            stringAt(index + 2, 1, "T", "S") ||
+            ((stringAt(index - 1, 1, "A", "O", "U", "E") || index === 0) &&
+              (index + 2 === length ||
+                stringAt(index + 2, 1, "L", "R", "N", "M", "B", "H", "F") ||
+                stringAt(index + 2, 1, "V", "W")))
+          ) {
+            add("K");
+          } else if (index > 0) {
+            if (stringAt(0, 2, "MC")) {
+              add("K");
+            } else {
+              add("X", "K");
+            }
+          } else {
+            add("X");
+          }
+          index += 2;
+          break;
+        }
+
+        // 'Czerny'
+        if (stringAt(index, 2, "CZ") && !stringAt(index - 2, 4, "WICZ")) {
+          add("S", "X");
+          index += 2;
+          break;
+        }
+
+        // 'Focaccia'
+        if (stringAt(index + 1, 3, "CIA")) {
+          add("X");
+          index += 3;
+          break;
+        }
+
+        // Double 'C', but not if e.g. 'McClellan'
+        if (stringAt(index, 2, "CC") && !(index === 1 && charAt(0) === "M")) {
+          // 'Bellocchio' but not 'Bacchus'
+          if (
+            stringAt(index + 2, 1, "I", "E", "H") &&
+            !stringAt(index + 2, 2, "HU")
+          ) {
+            // 'Accident', 'Accede', 'Succeed'
+            if (
+              (index === 1 && charAt(index - 1) === "A") ||
+              stringAt(index - 1, 5, "UCCEE", "UCCES")
+            ) {
+              add("KS");
+            } else {
+              // 'Bacci', 'Bertucci', other Italian
+              add("X");
+            }
+            index += 3;
+            break;
+          }
+
+          // Pierce's rule
+          add("K");
+          index += 2;
+          break;
+        }
+
+        if (stringAt(index, 2, "CK", "CG", "CQ")) {
+          add("K");
+          index += 2;
+          break;
+        }
+
+        if (stringAt(index, 2, "CI", "CE", "CY")) {
+          // Italian vs. English
+          if (stringAt(index, 3, "CIO", "CIE", "CIA")) {
+            add("S", "X");
+          } else {
+            add("S");
+          }
+          index += 2;
+          break;
+        }
+
+        add("K");
+        if (
+          stringAt(index + 1, 1, "C", "K", "Q") &&
+          !stringAt(index + 1, 2, "CE", "CI")
+        ) {
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case "D":
+        if (stringAt(index, 2, "DG")) {
+          if (stringAt(index + 2, 1, "I", "E", "Y")) {
+            // 'Edge'
+            add("J");
+            index += 3;
+          } else {
+            // 'Edgar'
+            add("TK");
+            index += 2;
+          }
+          break;
+        }
+
+        add("T");
+        index += stringAt(index, 2, "DT", "DD") ? 2 : 1;
+        break;
+
+      case "F":
+        add("F");
+        index += charAt(index + 1) === "F" ? 2 : 1;
+        break;
+
+      case "G":
+        if (charAt(index + 1) === "H") {
+          if (index > 0 && !isVowel(index - 1)) {
+            add("K");
+            index += 2;
+            break;
+          }
+
+          // 'Ghislane', 'Ghiradelli'
+          if (index === 0) {
+            add(charAt(index + 2) === "I" ? "J" : "K");
+            index += 2;
+            break;
+          }
+
+          // Parker's rule (with further refinements) - e.g. 'Hugh', 'Bough'
+          if (
+            (index > 1 && stringAt(index - 2, 1, "B", "H", "D")) ||
+            (index > 2 && stringAt(index - 3, 1, "B", "H", "D")) ||
+            (index > 3 && stringAt(index - 4, 1, "B", "H"))
+          ) {
+            index += 2;
+            break;
+          }
+
+          // 'Laugh', 'McLaughlin', 'Cough', 'Rough', 'Tough'
+          if (
+            index > 2 &&
+            charAt(index - 1) === "U" &&
+            stringAt(index - 3, 1, "C", "G", "L", "R", "T")
+          ) {
+            add("F");
+          } else if (index > 0 && charAt(index - 1) !== "I") {
+            add("K");
+          }
+          index += 2;
+          break;
+        }
+
+        if (charAt(index + 1) === "N") {
+          if (index === 1 && isVowel(0) && !isSlavoGermanic) {
+            add("KN", "N");
+          } else if (
+            !stringAt(index + 2, 2, "EY") &&
+            charAt(index + 1) !== "Y" &&
+            !isSlavoGermanic
+          ) {
+            // Not e.g. 'Cagney'
+            add("N", "KN");
+          } else {
+            add("KN");
+          }
+          index += 2;
+          break;
+        }
+
+        // 'Tagliaro'
+        if (stringAt(index + 1, 2, "LI") && !isSlavoGermanic) {
+          add("KL", "L");
+          index += 2;
+          break;
+        }
+
+        // -ges-, -gep-, -gel-, -gie- at beginning
+        if (
+          index === 0 &&
+          (charAt(index + 1) === "Y" ||
+            stringAt(index + 1, 2, "ES", "EP", "EB", "EL", "EY", "IB") ||
+            stringAt(index + 1, 2, "IL", "IN", "IE", "EI", "ER"))
+        ) {
+          add("K", "J");
+          index += 2;
+          break;
+        }
+
+        // -ger-, -gy-
+        if (
+          (stringAt(index + 1, 2, "ER") || charAt(index + 1) === "Y") &&
+          !stringAt(0, 6, "DANGER", "RANGER", "MANGER") &&
+          !stringAt(index - 1, 1, "E", "I") &&
+          !stringAt(index - 1, 3, "RGY", "OGY")
+        ) {
+          add("K", "J");
+          index += 2;
+          break;
+        }
+
+        // Italian e.g. 'Biaggi'
+        if (
+          stringAt(index + 1, 1, "E", "I", "Y") ||
+          stringAt(index - 1, 4, "AGGI", "OGGI")
+        ) {
+          if (isGermanic || stringAt(index + 1, 2, "ET")) {
+            // Obvious Germanic
+            add("K");
+          } else if (stringAt(index + 1, 3, "IER") && index + 4 === length) {
+            // Always soft if French ending
+            add("J");
+          } else {
+            add("J", "K");
+          }
+          index += 2;
+          break;
+        }
+
+        add("K");
+        index += charAt(index + 1) === "G" ? 2 : 1;
+        break;
+
+      case "H":
+        // Only keep if first & before vowel or between 2 vowels
+        if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+          add("H");
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case "J":
+        // Obvious Spanish, 'Jose'
+        if (stringAt(index, 4, "JOSE")) {
+          add("J", "H");
+          index++;
+          break;
+        }
+
+        if (index === 0) {
+          // 'Yankelovich' / 'Jankelowicz'
+          add("J", "A");
+        } else if (
+          isVowel(index - 1) &&
+          !isSlavoGermanic &&
+          (charAt(index + 1) === "A" || charAt(index + 1) === "O")
+        ) {
+          // Spanish pronunciation of e.g. 'Bajador'
+          add("J", "H");
+        } else if (index === last) {
+          add("J", "");
+        } else if (
+          !stringAt(index + 1, 1, "L", "T", "K", "S", "N", "M", "B", "Z") &&
+          !stringAt(index - 1, 1, "S", "K", "L")
+        ) {
+          add("J");
+        }
+
+        index += charAt(index + 1) === "J" ? 2 : 1;
+        break;
+
+      case "K":
+        add("K");
+        index += charAt(index + 1) === "K" ? 2 : 1;
+        break;
+
+      case "L":
+        if (charAt(index + 1) === "L") {
+          // Spanish e.g. 'Cabrillo', 'Gallegos'
+          if (
+            (index === length - 3 &&
+              stringAt(index - 1, 4, "ILLO", "ILLA", "ALLE")) ||
+            ((stringAt(last - 1, 2, "AS", "OS") ||
+              stringAt(last, 1, "A", "O")) &&
+              stringAt(index - 1, 4, "ALLE"))
+          ) {
+            add("L", "");
+            index += 2;
+            break;
+          }
+          index += 2;
+        } else {
+          index++;
+        }
+        add("L");
+        break;
+
+      case "M":
+        add("M");
+        if (
+          (stringAt(index - 1, 3, "UMB") &&
+            (index + 1 === last || stringAt(index + 2, 2, "ER"))) ||
+          charAt(index + 1) === "M"
+        ) {
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case "N":
+        add("N");
+        index += charAt(index + 1) === "N" ? 2 : 1;
+        break;
+
+      case "P":
+        if (charAt(index + 1) === "H") {
+          add("F");
+          index += 2;
+          break;
+        }
+
+        // Also account for 'Campbell', 'Raspberry'
+        add("P");
+        index += stringAt(index + 1, 1, "P", "B") ? 2 : 1;
+        break;
+
+      case "Q":
+        add("K");
+        index += charAt(index + 1) === "Q" ? 2 : 1;
+        break;
+
+      case "R":
+        // French e.g. 'Rogier', but exclude 'Hochmeier'
+        if (
+          index === last &&
+          !isSlavoGermanic &&
+          stringAt(index - 2, 2, "IE") &&
+          !stringAt(index - 4, 2, "ME", "MA")
+        ) {
+          add("", "R");
+        } else {
+          add("R");
+        }
+        index += charAt(index + 1) === "R" ? 2 : 1;
+        break;
+
+      case "S":
+        // Special cases 'Island', 'Isle', 'Carlisle', 'Carlysle'
+        if (stringAt(index - 1, 3, "ISL", "YSL")) {
+          index++;
+          break;
+        }
+
+        // Special case 'Sugar-'
+        if (index === 0 && stringAt(index, 5, "SUGAR")) {
+          add("X", "S");
+          index++;
+          break;
+        }
+
+        if (stringAt(index, 2, "SH")) {
+          // Germanic
+          if (stringAt(index + 1, 4, "HEIM", "HOEK", "HOLM", "HOLZ")) {
+            add("S");
+          } else {
+            add("X");
+          }
+          index += 2;
+          break;
+        }
+
+        // Italian & Armenian
+        if (stringAt(index, 3, "SIO", "SIA") || stringAt(index, 4, "SIAN")) {
+          if (isSlavoGermanic) {
+            add("S");
+          } else {
+            add("S", "X");
+          }
+          index += 3;
+          break;
+        }
+
+        // German & anglicisations, e.g. 'Smith' match 'Schmidt',
+        // 'Snider' match 'Schneider'; also -sz- in Slavic languages
+        if (
+          (index === 0 && stringAt(index + 1, 1, "M", "N", "L", "W")) ||
+          stringAt(index + 1, 1, "Z")
+        ) {
+          add("S", "X");
+          index += stringAt(index + 1, 1, "Z") ? 2 : 1;
+          break;
+        }
+
+        if (stringAt(index, 2, "SC")) {
+          // Schlesinger's rule
+          if (charAt(index + 2) === "H") {
+            if (stringAt(index + 3, 2, "OO", "ER", "EN", "UY", "ED", "EM")) {
+              // Dutch origin, e.g. 'School', 'Schooner', 'Schenker'
+              if (stringAt(index + 3, 2, "ER", "EN")) {
+                add("X", "SK");
+              } else {
+                add("SK");
+              }
+            } else if (index === 0 && !isVowel(3) && charAt(3) !== "W") {
+              add("X", "S");
+            } else {
+              add("X");
+            }
+            index += 3;
+            break;
+          }
+
+          if (stringAt(index + 2, 1, "I", "E", "Y")) {
+            add("S");
+          } else {
+            add("SK");
+          }
+          index += 3;
+          break;
+        }
+
+        // French e.g. 'Resnais', 'Artois'
+        if (index === last && stringAt(index - 2, 2, "AI", "OI")) {
+          add("", "S");
+        } else {
+          add("S");
+        }
+        index += stringAt(index + 1, 1, "S", "Z") ? 2 : 1;
+        break;
+
+      case "T":
+        if (stringAt(index, 4, "TION") || stringAt(index, 3, "TIA", "TCH")) {
+          add("X");
+          index += 3;
+          break;
+        }
+
+        if (stringAt(index, 2, "TH") || stringAt(index, 3, "TTH")) {
+          // Special case 'Thomas', 'Thames' or Germanic
+          if (stringAt(index + 2, 2, "OM", "AM") || isGermanic) {
+            add("T");
+          } else {
+            add("0", "T");
+          }
+          index += 2;
+          break;
+        }
+
+        add("T");
+        index += stringAt(index + 1, 1, "T", "D") ? 2 : 1;
+        break;
+
+      case "V":
+        add("F");
+        index += charAt(index + 1) === "V" ? 2 : 1;
+        break;
+
+      case "W":
+        // Can also be in the middle of a word
+        if (stringAt(index, 2, "WR")) {
+          add("R");
+          index += 2;
+          break;
+        }
+
+        if (index === 0 && (isVowel(index + 1) || stringAt(index, 2, "WH"))) {
+          // 'Wasserman' should match 'Vasserman'
+          if (isVowel(index + 1)) {
+            add("A", "F");
+          } else {
+            add("A");
+          }
+        }
+
+        // 'Arnow' should match 'Arnoff'
+        if (
+          (index === last && isVowel(index - 1)) ||
+          stringAt(index - 1, 5, "EWSKI", "EWSKY", "OWSKI", "OWSKY") ||
+          stringAt(0, 3, "SCH")
+        ) {
+          add("", "F");
+          index++;
+          break;
+        }
+
+        // Polish e.g. 'Filipowicz'
+        if (stringAt(index, 4, "WICZ", "WITZ")) {
+          add("TS", "FX");
+          index += 4;
+          break;
+        }
+
+        index++;
+        break;
+
+      case "X":
+        // French e.g. 'Breaux'
+        if (
+          !(
+            index === last &&
+            (stringAt(index - 3, 3, "IAU", "EAU") ||
+              stringAt(index - 2, 2, "AU", "OU"))
+          )
+        ) {
+          add("KS");
+        }
+        index += stringAt(index + 1, 1, "C", "X") ? 2 : 1;
+        break;
+
+      case "Z":
+        // Chinese pinyin e.g. 'Zhao'
+        if (charAt(index + 1) === "H") {
+          add("J");
+          index += 2;
+          break;
+        }
+
+        if (
+          stringAt(index + 1, 2, "ZO", "ZI", "ZA") ||
+          (isSlavoGermanic && index > 0 && charAt(index - 1) !== "T")
+        ) {
+          add("S", "TS");
+        } else {
+          add("S");
+        }
+        index += charAt(index + 1) === "Z" ? 2 : 1;
+        break;
+
+      default:
+        index++;
+    }
+  }
+
+  return [
+    primary.slice(0, MAX_CODE_LENGTH),
+    secondary.slice(0, MAX_CODE_LENGTH),
+  ];
+}
+
+/**
+ * Get the phonetic codes for a normalized name token (cached)
+ * @param {string} token - Normalized name token
+ * @returns {string[]} - Distinct non-empty codes
+ */
+export function getPhoneticCodes(token) {
+  let codes = codeCache.get(token);
+  if (!codes) {
+    codes = [...new Set(doubleMetaphone(token))].filter(Boolean);
+    codeCache.set(token, codes);
+  }
+  return codes;
+}
+
+/**
+ * Check whether two normalized name tokens sound alike
+ * @param {string} token1 - First token
+ * @param {string} token2 - Second token
+ * @returns {boolean} - True if any of their phonetic codes match
+ */
+export function soundsAlike(token1, token2) {
+  const codes1 = getPhoneticCodes(token1);
+  const codes2 = getPhoneticCodes(token2);
+  return codes1.some((code) => codes2.includes(code));
+}
@@ -0,0 +1,711 @@
+/**
+ * Printable Screening Reports
+ * Builds the clearance certificate for searches with no match, and the review
+ * record documenting how each potential match was dispositioned, both as
+ * stand-alone HTML documents for printing and as PDF files
+ */
+
+import { renderPDF } from "./pdf.js";
+
+// Styles shared by both reports
+const REPORT_STYLES = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: Georgia, serif;
+      background: #f5f5f5;
+      padding: 20px;
+    }
+    .certificate {
+      max-width: 700px;
+      margin: 0 auto;
+      padding: 40px;
+      background: white;
+      border: 3px solid #1a1a1a;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+    }
+    .cert-header {
+      text-align: center;
+      padding-bottom: 20px;
+      margin-bottom: 25px;
+      border-bottom: 3px solid #1a1a1a;
+    }
+    .letterhead {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 16px;
+      margin-bottom: 20px;
+      text-align: left;
+    }
+    .letterhead img {
+      max-height: 64px;
+      max-width: 200px;
+    }
+    .letterhead strong {
+      display: block;
+      font-size: 17px;
+    }
+    .letterhead span {
+      display: block;
+      font-size: 12px;
+      color: #444;
+      white-space: pre-line;
+    }
+    .cert-header h1 {
+      font-size: 22px;
+      letter-spacing: 3px;
+      font-weight: 700;
+      margin-bottom: 8px;
+    }
+    .cert-header p {
+      color: #666;
+      font-size: 14px;
+    }
+    .cert-status {
+      text-align: center;
+      padding: 20px;
+      margin: 20px 0;
+      background: #d4edda;
+      border: 2px solid #28a745;
+      border-radius: 8px;
+    }
+    .cert-status span {
+      font-size: 20px;
+      font-weight: 700;
+      color: #155724;
+    }
+    .cert-status.pending,
+    .cert-status.confirmed {
+      background: #f8d7da;
+      border-color: #dc3545;
+    }
+    .cert-status.pending span,
+    .cert-status.confirmed span {
+      color: #721c24;
+    }
+    .cert-status.escalated {
+      background: #fff3cd;
+      border-color: #ffc107;
+    }
+    .cert-status.escalated span {
+      color: #856404;
+    }
+    .cert-section {
+      margin: 25px 0;
+    }
+    .cert-section h2 {
+      font-size: 14px;
+      text-transform: uppercase;
+      letter-spacing: 2px;
+      margin-bottom: 15px;
+      padding-bottom: 8px;
+      border-bottom: 1px solid #ddd;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    td {
+      padding: 10px 0;
+      border-bottom: 1px solid #eee;
+      font-size: 14px;
+    }
+    td.label {
+      font-weight: 600;
+      width: 40%;
+      color: #333;
+    }
+    td.value {
+      color: #1a1a1a;
+    }
+    .candidate {
+      margin-bottom: 20px;
+      padding: 15px;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      page-break-inside: avoid;
+    }
+    .candidate h3 {
+      display: flex;
+      justify-content: space-between;
+      font-size: 15px;
+      margin-bottom: 8px;
+    }
+    .candidate td {
+      padding: 6px 0;
+      font-size: 13px;
+    }
+    .candidate td.label {
+      width: 30%;
+    }
+    .reasoning {
+      white-space: pre-wrap;
+    }
+    .signatures {
+      display: flex;
+      gap: 40px;
+      margin-top: 40px;
+    }
+    .sig-line {
+      flex: 1;
+      padding-top: 8px;
+      border-top: 1px solid #1a1a1a;
+      font-size: 12px;
+      color: #333;
+    }
+    .cert-footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 2px solid #1a1a1a;
+      text-align: center;
+      font-size: 11px;
+      color: #666;
+    }
+    .digest {
+      font-family: monospace;
+      font-size: 11px;
+      word-break: break-all;
+    }
+    .verify-note {
+      margin-top: 10px;
+    }
+    .ref-id {
+      font-family: monospace;
+      font-size: 12px;
+      background: #f0f0f0;
+      padding: 5px 10px;
+      display: inline-block;
+      margin-top: 10px;
+    }
+    @media print {
+      body { background: white; padding: 0; }
+      .certificate { border: none; box-shadow: none; }
+      .no-print { display: none; }
+    }
+`;
+
+// Review record banner text per review status (see getReviewStatus)
+const REVIEW_STATUS_BANNERS = {
+  pending: "POTENTIAL MATCH - REVIEW PENDING",
+  false_positive: "CLEARED - ALL CANDIDATES FALSE POSITIVES",
+  escalated: "POTENTIAL MATCH - ESCALATED",
+  confirmed: "CONFIRMED MATCH",
+};
+
+/**
+ * Get the certificate's closing statement
+ * @param {Array<string>} lists - Names of the lists searched
+ * @returns {string}
+ */
+function getCertificateStatement(lists) {
+  return `This certificate confirms that the individual named above was screened against the following sanctions lists of the U.S. Department of the Treasury's Office of Foreign Assets Control (OFAC) and no matches were found: ${lists.join(
+    "; "
+  )}.`;
+}
+
+/**
+ * Get the review record's closing statement
+ * @param {Array<string>} lists - Names of the lists searched
+ * @returns {string}
+ */
+function getReviewStatement(lists) {
+  return `This record documents the review of potential matches between the individual named above and the following sanctions lists of the U.S. Department of the Treasury's Office of Foreign Assets Control (OFAC), and the disposition of each candidate: ${lists.join(
+    "; "
+  )}.`;
+}
+
+const GENERATED_BY = "Generated by OFAC Compliance Search Extension";
+
+const VERIFY_NOTE =
+  "Verify this document on the extension's Verify Certificate page using the reference ID or record digest.";
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Get the signature line labels
+ * The store's compliance officer signs when a store profile names one
+ * @param {Object|null} store - Store profile
+ * @param {string} fallback - Label when no officer is named
+ * @returns {string}
+ */
+function getOfficerLabel(store, fallback) {
+  if (!store?.officerName) return fallback;
+  return [store.officerName, store.officerTitle].filter(Boolean).join(", ");
+}
+
+/**
+ * Get the line naming who issued the document
+ * @param {Object|null} store - Store profile
+ * @returns {string}
+ */
+function getIssuedBy(store) {
+  return store?.legalName
+    ? `Issued by ${store.legalName} using OFAC Compliance Search Extension`
+    : GENERATED_BY;
+}
+
+/**
+ * Get the customer information rows
+ * @param {Object} customer - {fullName, dob, fullAddress, idNumber}
+ * @returns {Array} - [label, value] pairs
+ */
+function getCustomerRows(customer) {
+  return [
+    ["Full Name", customer.fullName || "N/A"],
+    ["Date of Birth", customer.dob || "Not provided"],
+    ["Address", customer.fullAddress || "Not provided"],
+    ["ID Number", customer.idNumber || "Not provided"],
+  ];
+}
+
+/**
+ * Get the search details rows
+ * @param {Object} search - {searchTime, lists, listDate, entriesSearched, threshold, refId, digest}
+ * @returns {Array} - [label, value, font] rows
+ */
+function getSearchRows(search) {
+  return [
+    ["Search Date/Time", search.searchTime],
+    ["Lists Searched", search.lists.join("; ")],
+    ["List Published", search.listDate],
+    ["Entries Searched", search.entriesSearched],
+    ["Match Threshold", `${search.threshold}%`],
+    ["Reference ID", search.refId],
+    ["Record Digest (SHA-256)", search.digest, "mono"],
+  ];
+}
+
+/**
+ * Get the rows describing one review candidate
+ * @param {Object} candidate - Candidate match and its disposition
+ * @returns {Array} - [label, value] pairs
+ */
+function getCandidateRows(candidate) {
+  const { disposition } = candidate;
+
+  const rows = [
+    ["List", candidate.list],
+    ["Type", candidate.type || "N/A"],
+    ["Date of Birth", candidate.dob || "N/A"],
+    ["Country", candidate.country || "N/A"],
+    ["Programs", candidate.programs.join(", ") || "N/A"],
+    ["Match Details", candidate.details.join("; ") || "Name similarity"],
+  ];
+
+  if (candidate.matchedAlias) {
+    rows.unshift(["Matched Alias", candidate.matchedName]);
+  }
+
+  if (disposition) {
+    rows.push(
+      ["Disposition", disposition.label],
+      ["Reviewer", disposition.reviewer],
+      ["Recorded", disposition.recordedAt],
+      ["Reasoning", disposition.reason]
+    );
+  } else {
+    rows.push(["Disposition", "Not yet recorded"]);
+  }
+
+  return rows;
+}
+
+/**
+ * Render label/value rows of a report table
+ * @param {Array} rows - [label, value, font] rows
+ * @returns {string} - HTML
+ */
+function renderRows(rows) {
+  return rows
+    .map(
+      ([label, value, font]) =>
+        `<tr><td class="label">${label}:</td><td class="value${
+          font === "mono" ? " digest" : ""
+        }">${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n        ");
+}
+
+/**
+ * Render a titled table section
+ * @param {string} title - Section title
+ * @param {Array} rows - [label, value, font] rows
+ * @returns {string} - HTML
+ */
+function renderSection(title, rows) {
+  return `
+    <div class="cert-section">
+      <h2>${title}</h2>
+      <table>
+        ${renderRows(rows)}
+      </table>
+    </div>`;
+}
+
+/**
+ * Render the store letterhead
+ * @param {Object|null} store - Store profile
+ * @returns {string} - HTML
+ */
+function renderLetterhead(store) {
+  if (!store?.legalName) return "";
+
+  return `
+      <div class="letterhead">
+        ${store.logo ? `<img src="${store.logo.dataUrl}" alt="" />` : ""}
+        <div>
+          <strong>${escapeHtml(store.legalName)}</strong>
+          ${store.address ? `<span>${escapeHtml(store.address)}</span>` : ""}
+        </div>
+      </div>`;
+}
+
+/**
+ * Render signature lines
+ * @param {string[]} labels - Label under each line
+ * @returns {string} - HTML
+ */
+function renderSignatures(labels) {
+  return `
+    <div class="signatures">
+      ${labels
+        .map((label) => `<div class="sig-line">${escapeHtml(label)}</div>`)
+        .join("\n      ")}
+    </div>`;
+}
+
+/**
+ * Render the report footer
+ * @param {string} statement - What the document attests
+ * @param {string} refId - Reference ID
+ * @param {Object|null} store - Store profile
+ * @returns {string} - HTML
+ */
+function renderFooter(statement, refId, store) {
+  return `
+    <div class="cert-footer">
+      <p>${statement}</p>
+      <p style="margin-top: 15px;">${escapeHtml(getIssuedBy(store))}</p>
+      <p class="verify-note">${VERIFY_NOTE}</p>
+      <div class="ref-id">${escapeHtml(refId)}</div>
+    </div>`;
+}
+
+/**
+ * Wrap report content in a printable document
+ * @param {string} title - Document title
+ * @param {string} body - Report HTML
+ * @param {string} printLabel - Print button label
+ * @returns {string} - Complete HTML document
+ */
+function renderDocument(title, body, printLabel) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLES}  </style>
+</head>
+<body>
+  <div class="certificate">${body}
+  </div>
+
+  <div class="no-print" style="text-align: center; margin-top: 20px;">
+    <button id="printBtn" style="padding: 12px 30px; font-size: 16px; cursor: pointer; background: #28a745; color: white; border: none; border-radius: 6px;">
+      🖨️ ${printLabel}
+    </button>
+    <p style="margin-top: 10px; color: #666; font-size: 12px;">Or press Ctrl+P / Cmd+P to print</p>
+  </div>
+
+  <script>
+    document.getElementById('printBtn').addEventListener('click', function() {
+      window.print();
+    });
+    // Auto-print after page loads
+    window.onload = function() {
+      setTimeout(function() { window.print(); }, 500);
+    };
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Get the PDF letterhead block for a store
+ * @param {Object|null} store - Store profile
+ * @returns {Array<Object>} - PDF blocks (empty without a store)
+ */
+function getLetterheadBlocks(store) {
+  if (!store?.legalName) return [];
+
+  // Logos are stored as JPEG data URLs; the PDF embeds the raw JPEG bytes
+  const logo = store.logo && {
+    data: atob(store.logo.dataUrl.split(",")[1]),
+    width: store.logo.width,
+    height: store.logo.height,
+  };
+
+  return [
+    {
+      type: "letterhead",
+      name: store.legalName,
+      lines: store.address ? store.address.split("\n") : [],
+      logo,
+    },
+  ];
+}
+
+/**
+ * Get the PDF blocks of the report footer
+ * @param {string} statement - What the document attests
+ * @param {Object|null} store - Store profile
+ * @returns {Array<Object>} - PDF blocks
+ */
+function getFooterBlocks(statement, store) {
+  return [
+    { type: "rule" },
+    {
+      type: "paragraph",
+      text: statement,
+      size: 9,
+      color: "#666666",
+      align: "center",
+      spaceBefore: 8,
+    },
+    {
+      type: "paragraph",
+      text: `${getIssuedBy(store)}. ${VERIFY_NOTE}`,
+      size: 8,
+      color: "#666666",
+      align: "center",
+      spaceBefore: 8,
+    },
+  ];
+}
+
+/**
+ * Build the clearance certificate for a search with no match
+ * @param {Object} report - {customer, search, store}
+ * @returns {string} - Complete HTML document
+ */
+export function buildCertificateHTML({ customer, search, store }) {
+  const body = `
+    <div class="cert-header">${renderLetterhead(store)}
+      <h1>OFAC COMPLIANCE CERTIFICATE</h1>
+      <p>Sanctions List Screening Report</p>
+    </div>
+
+    <div class="cert-status">
+      <span>✓ NO MATCH FOUND - CLEARED</span>
+    </div>
+    ${renderSection("Customer Information Searched", getCustomerRows(customer))}
+    ${renderSection("Search Details", getSearchRows(search))}
+    ${renderSignatures([
+      getOfficerLabel(store, "Authorized Representative Signature"),
+      "Date",
+    ])}
+    ${renderFooter(
+      getCertificateStatement(search.lists),
+      search.refId,
+      store
+    )}`;
+
+  return renderDocument(
+    `OFAC Compliance Certificate - ${search.refId}`,
+    body,
+    "Print Certificate"
+  );
+}
+
+/**
+ * Build the clearance certificate as a PDF
+ * @param {Object} report - {customer, search, store}
+ * @returns {Uint8Array} - PDF bytes
+ */
+export function buildCertificatePDF({ customer, search, store }) {
+  return renderPDF(
+    [
+      ...getLetterheadBlocks(store),
+      {
+        type: "title",
+        text: "OFAC COMPLIANCE CERTIFICATE",
+        subtitle: "Sanctions List Screening Report",
+      },
+      { type: "banner", text: "NO MATCH FOUND - CLEARED", tone: "passed" },
+      { type: "heading", text: "Customer Information Searched" },
+      { type: "rows", rows: getCustomerRows(customer) },
+      { type: "heading", text: "Search Details" },
+      { type: "rows", rows: getSearchRows(search) },
+      {
+        type: "signatures",
+        labels: [
+          getOfficerLabel(store, "Authorized Representative Signature"),
+          "Date",
+        ],
+      },
+      ...getFooterBlocks(getCertificateStatement(search.lists), store),
+    ],
+    {
+      title: `OFAC Compliance Certificate - ${search.refId}`,
+      footer: `Reference ID: ${search.refId}`,
+    }
+  );
+}
+
+/**
+ * Render one candidate of the review record
+ * @param {Object} candidate - Candidate match and its disposition
+ * @param {number} index - Position in the candidate list
+ * @returns {string} - HTML
+ */
+function renderCandidate(candidate, index) {
+  const rows = renderRows(getCandidateRows(candidate)).replace(
+    '<td class="label">Reasoning:</td><td class="value">',
+    '<td class="label">Reasoning:</td><td class="value reasoning">'
+  );
+
+  return `
+      <div class="candidate">
+        <h3><span>${index + 1}. ${escapeHtml(candidate.name)}</span><span>${
+    candidate.score
+  }%</span></h3>
+        <table>
+          ${rows}
+        </table>
+      </div>`;
+}
+
+/**
+ * Build the review record for a search with potential matches
+ * Documents every candidate and how the reviewer dispositioned it
+ * @param {Object} report - {customer, search, status, candidates, store}
+ * @returns {string} - Complete HTML document
+ */
+export function buildReviewRecordHTML({
+  customer,
+  search,
+  status,
+  candidates,
+  store,
+}) {
+  const banner =
+    status === "false_positive"
+      ? `✓ ${REVIEW_STATUS_BANNERS[status]}`
+      : REVIEW_STATUS_BANNERS[status];
+
+  const body = `
+    <div class="cert-header">${renderLetterhead(store)}
+      <h1>SCREENING REVIEW RECORD</h1>
+      <p>OFAC Sanctions List Potential Match Review</p>
+    </div>
+
+    <div class="cert-status ${status}">
+      <span>${banner}</span>
+    </div>
+    ${renderSection("Customer Information Searched", getCustomerRows(customer))}
+    ${renderSection("Search Details", getSearchRows(search))}
+
+    <div class="cert-section">
+      <h2>Candidates Reviewed (${candidates.length})</h2>
+      ${candidates.map(renderCandidate).join("")}
+    </div>
+
+    ${renderSignatures([
+      "Reviewer Signature",
+      getOfficerLabel(store, "Compliance Officer Signature"),
+      "Date",
+    ])}
+    ${renderFooter(getReviewStatement(search.lists), search.refId, store)}`;
+
+  return renderDocument(
+    `OFAC Screening Review Record - ${search.refId}`,
+    body,
+    "Print Review Record"
+  );
+}
+
+/**
+ * Build the review record as a PDF
+ * @param {Object} report - {customer, search, status, candidates, store}
+ * @returns {Uint8Array} - PDF bytes
+ */
+export function buildReviewRecordPDF({
+  customer,
+  search,
+  status,
+  candidates,
+  store,
+}) {
+  const candidateBlocks = candidates.flatMap((candidate, i) => [
+    {
+      type: "subheading",
+      text: `${i + 1}. ${candidate.name}`,
+      right: `${candidate.score}%`,
+    },
+    { type: "rows", rows: getCandidateRows(candidate), labelRatio: 0.3 },
+  ]);
+
+  return renderPDF(
+    [
+      ...getLetterheadBlocks(store),
+      {
+        type: "title",
+        text: "SCREENING REVIEW RECORD",
+        subtitle: "OFAC Sanctions List Potential Match Review",
+      },
+      {
+        type: "banner",
+        text: REVIEW_STATUS_BANNERS[status],
+        tone: status === "false_positive" ? "passed" : status,
+      },
+      { type: "heading", text: "Customer Information Searched" },
+      { type: "rows", rows: getCustomerRows(customer) },
+      { type: "heading", text: "Search Details" },
+      { type: "rows", rows: getSearchRows(search) },
+      { type: "heading", text: `Candidates Reviewed (${candidates.length})` },
+      ...candidateBlocks,
+      {
+        type: "signatures",
+        labels: [
+          "Reviewer Signature",
+          getOfficerLabel(store, "Compliance Officer Signature"),
+          "Date",
+        ],
+      },
+      ...getFooterBlocks(getReviewStatement(search.lists), store),
+    ],
+    {
+      title: `OFAC Screening Review Record - ${search.refId}`,
+      footer: `Reference ID: ${search.refId}`,
+    }
+  );
+}
+
+/**
+ * Build the file name for a downloaded report
+ * @param {string} customerName - Name of the customer screened
+ * @param {string} refId - Reference ID of the screening
+ * @param {string} kind - Report kind, e.g. "Certificate" or "Review"
+ * @returns {string} - e.g. John_Smith_OFAC-LZ3K9Q1A-7F2C9E1B_Certificate.pdf
+ */
+export function getReportFileName(customerName, refId, kind) {
+  const name =
+    (customerName || "")
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "Unknown";
+
+  return `${name}_${refId}_${kind}.pdf`;
+}
@@ -0,0 +1,42 @@
+/**
+ * Search History Retention
+ * Screening records must be kept for a retention period (five years by
+ * default). Only records older than the period can be deleted, and every
+ * purge is written to the audit log.
+ */
+
+import { getSetting, purgeSearchHistoryBefore } from "./storage.js";
+
+export const DEFAULT_RETENTION_YEARS = 5;
+export const MIN_RETENTION_YEARS = 5;
+export const MAX_RETENTION_YEARS = 25;
+
+/**
+ * Get the configured retention period
+ * @returns {Promise<number>} - Years
+ */
+export async function getRetentionYears() {
+  return (await getSetting("retentionYears")) ?? DEFAULT_RETENTION_YEARS;
+}
+
+/**
+ * Get the oldest screening time still inside the retention period
+ * @param {number} years - Retention period
+ * @param {Date} now - Current time
+ * @returns {string} - ISO timestamp; older records have expired
+ */
+export function getRetentionCutoff(years, now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setFullYear(cutoff.getFullYear() - years);
+  return cutoff.toISOString();
+}
+
+/**
+ * Delete screening records older than the retention period
+ * @param {string} reason - What triggered the purge ("scheduled" or "manual")
+ * @returns {Promise<Object>} - Audit log entry for the purge
+ */
+export async function purgeExpiredHistory(reason) {
+  const years = await getRetentionYears();
+  return purgeSearchHistoryBefore(getRetentionCutoff(years), reason);
+}
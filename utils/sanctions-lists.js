@@ -0,0 +1,106 @@
+/**
+ * Sanctions List Registry
+ * Every list customers are screened against, with where it is downloaded
+ * from (and where its publish date is read), how it is parsed and how often
+ * it is refreshed. Entries are tagged with the ID of the list they came from.
+ */
+
+import { parseSDNCSV } from "./ofac-data.js";
+
+export const SDN_LIST_ID = "us_ofac_sdn";
+
+export const SANCTIONS_LISTS = [
+  {
+    id: SDN_LIST_ID,
+    name: "OFAC Specially Designated Nationals (SDN) List",
+    shortName: "SDN",
+    url: "https://data.opensanctions.org/datasets/latest/us_ofac_sdn/targets.simple.csv",
+    metadataUrl:
+      "https://data.opensanctions.org/datasets/latest/us_ofac_sdn/index.json",
+    source: "OpenSanctions (OFAC SDN mirror)",
+    parse: parseSDNCSV,
+    updateIntervalHours: 24,
+  },
+  {
+    // SSI, NS-MBS, FSE, NS-PLC, CAPTA and the other non-SDN programs
+    id: "us_ofac_cons",
+    name: "OFAC Consolidated Sanctions List (Non-SDN)",
+    shortName: "Non-SDN",
+    url: "https://data.opensanctions.org/datasets/latest/us_ofac_cons/targets.simple.csv",
+    metadataUrl:
+      "https://data.opensanctions.org/datasets/latest/us_ofac_cons/index.json",
+    source: "OpenSanctions (OFAC Consolidated mirror)",
+    parse: parseSDNCSV,
+    updateIntervalHours: 24,
+  },
+];
+
+/**
+ * Get a list from the registry
+ * @param {string} id - List ID
+ * @returns {Object|null}
+ */
+export function getSanctionsList(id) {
+  return SANCTIONS_LISTS.find((list) => list.id === id) || null;
+}
+
+/**
+ * Get the short name shown next to an entry from a list
+ * Entries stored before lists were tagged came from the SDN list
+ * @param {string} id - List ID
+ * @returns {string} - e.g. "SDN"
+ */
+export function getListShortName(id) {
+  return getSanctionsList(id || SDN_LIST_ID)?.shortName || id;
+}
+
+/**
+ * Get the names of the lists a screening was run against
+ * Screenings saved before other lists were added searched the SDN list only
+ * @param {Object|null} listSnapshot - List snapshot saved with the screening
+ * @returns {Array<string>}
+ */
+export function getListsSearched(listSnapshot) {
+  if (listSnapshot?.lists) {
+    return listSnapshot.lists.map((list) => list.name);
+  }
+  return [getSanctionsList(SDN_LIST_ID).name];
+}
+
+/**
+ * Format a list publish date as an absolute date
+ * Only the calendar day is kept, as published, without a time zone shift
+ * @param {string|null} publishDate - ISO date or timestamp
+ * @returns {string} - e.g. "October 14, 2026", or "Unknown"
+ */
+export function formatPublishDate(publishDate) {
+  const match = publishDate?.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return publishDate || "Unknown";
+
+  const [, year, month, day] = match.map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * Get the publish date of each list a screening was run against
+ * Screenings saved before other lists were added searched the SDN list only
+ * @param {Object|null} listSnapshot - List snapshot saved with the screening
+ * @returns {Array<string>} - e.g. ["SDN: October 14, 2026"]
+ */
+export function getListPublishDates(listSnapshot) {
+  if (listSnapshot?.lists) {
+    return listSnapshot.lists.map(
+      (list) =>
+        `${getListShortName(list.id)}: ${formatPublishDate(list.publishDate)}`
+    );
+  }
+  return [
+    `${getListShortName(SDN_LIST_ID)}: ${formatPublishDate(
+      listSnapshot?.publishDate
+    )}`,
+  ];
+}
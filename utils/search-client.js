@@ -0,0 +1,101 @@
+/**
+ * Search Worker Client
+ * Starts searches on the search worker and tracks their progress, so pages
+ * never score SDN entries on their own main thread
+ */
+
+let worker = null;
+let nextJobId = 1;
+
+// Running jobs: jobId -> {resolve, reject, onProgress}
+const jobs = new Map();
+
+/**
+ * Get the shared search worker, starting it on first use
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(chrome.runtime.getURL("search-worker.js"), {
+    type: "module",
+  });
+
+  worker.addEventListener("message", (event) => {
+    const message = event.data;
+    const job = jobs.get(message.jobId);
+    if (!job) return;
+
+    if (message.type === "progress") {
+      job.onProgress?.(message.scored, message.total);
+      return;
+    }
+
+    jobs.delete(message.jobId);
+
+    if (message.type === "complete") {
+      const { type, jobId, ...payload } = message;
+      job.resolve({ cancelled: false, ...payload });
+    } else if (message.type === "cancelled") {
+      job.resolve({ cancelled: true });
+    } else if (message.type === "error") {
+      job.reject(new Error(message.error));
+    }
+  });
+
+  worker.addEventListener("error", (event) => {
+    // A crashed worker fails every job it was running
+    for (const job of jobs.values()) {
+      job.reject(new Error(event.message || "Search worker failed"));
+    }
+    jobs.clear();
+    worker = null;
+  });
+
+  return worker;
+}
+
+/**
+ * Post a job to the search worker
+ * @param {Object} message - Job message (without jobId)
+ * @param {Function} onProgress - Called with (done, total)
+ * @returns {Object} - {promise, cancel()}
+ */
+function startJob(message, onProgress) {
+  const jobId = nextJobId++;
+  const searchWorker = getWorker();
+
+  const promise = new Promise((resolve, reject) => {
+    jobs.set(jobId, { resolve, reject, onProgress });
+  });
+
+  searchWorker.postMessage({ ...message, jobId });
+
+  return {
+    promise,
+    cancel: () => searchWorker.postMessage({ type: "cancel", jobId }),
+  };
+}
+
+/**
+ * Start a search on the search worker
+ * @param {Object} searchParams - Search parameters
+ * @param {Object} options - {threshold, weights, onProgress(scored, total)}
+ * @returns {Object} - {promise: resolves to {cancelled, matches}, cancel()}
+ */
+export function startSearch(searchParams, { threshold, weights, onProgress }) {
+  return startJob(
+    { type: "search", searchParams, threshold, weights },
+    onProgress
+  );
+}
+
+/**
+ * Start a batch of searches on the search worker
+ * @param {Array} rows - Search parameters, one per customer
+ * @param {Object} options - {threshold, weights, onProgress(screened, total)}
+ * @returns {Object} - {promise: resolves to {cancelled, results}, cancel()}
+ */
+export function startBatch(rows, { threshold, weights, onProgress }) {
+  return startJob({ type: "batch", rows, threshold, weights }, onProgress);
+}
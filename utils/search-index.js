@@ -0,0 +1,135 @@
+/**
+ * Search Index for OFAC Name Matching
+ * Files every SDN entry under blocking keys (phonetic codes, name prefixes and
+ * name suffixes) of each name token, so a search only scores entries that
+ * share a key with the searched name instead of scanning the whole list
+ */
+
+import { normalizeName, getNameVariants } from "./fuzzy-search.js";
+import { getPhoneticCodes } from "./phonetic.js";
+import {
+  getSetting,
+  getAllSDNEntries,
+  getSDNEntriesByIds,
+  getSearchIndexUids,
+} from "./storage.js";
+
+/**
+ * Version of the blocking scheme. Bump whenever name normalization or key
+ * generation changes so a stored index built the old way gets rebuilt.
+ */
+export const SEARCH_INDEX_VERSION = 2;
+
+// Length of the spelling prefix and suffix keys (catch typos that change the
+// sound; the suffix catches typos in the first letters)
+const AFFIX_LENGTH = 3;
+
+// Tokens shorter than this (single-letter initials) would match far too many
+// entries
+const MIN_TOKEN_LENGTH = 2;
+
+// A search with fewer candidates than this scans the whole list instead, so
+// a rare name missed by every key is still scored
+const MIN_CANDIDATES = 50;
+
+/**
+ * Get the blocking keys for a single normalized name token
+ * @param {string} token - Normalized name token
+ * @returns {Array<string>} - Blocking keys
+ */
+function getTokenKeys(token) {
+  if (token.length < MIN_TOKEN_LENGTH) return [];
+
+  return [
+    `t:${token.slice(0, AFFIX_LENGTH)}`,
+    `s:${token.slice(-AFFIX_LENGTH)}`,
+    ...getPhoneticCodes(token).map((code) => `p:${code}`),
+  ];
+}
+
+/**
+ * Get the blocking keys for a name (any mix of name fields)
+ * @param {Array<string>} nameParts - Raw name strings
+ * @returns {Set<string>} - Blocking keys
+ */
+function getNameKeys(nameParts) {
+  const keys = new Set();
+
+  for (const part of nameParts) {
+    const normalized = normalizeName(part);
+    if (!normalized) continue;
+
+    for (const token of normalized.split(" ")) {
+      getTokenKeys(token).forEach((key) => keys.add(key));
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Build the search index for a set of SDN entries
+ * Every name variant (primary name and aliases) is indexed
+ * @param {Array} entries - SDN entries
+ * @returns {Map<string, Array<string>>} - Blocking key -> entry UIDs
+ */
+export function buildSearchIndex(entries) {
+  const index = new Map();
+
+  for (const entry of entries) {
+    const nameParts = getNameVariants(entry).flatMap((variant) => [
+      variant.firstName,
+      variant.middleName,
+      variant.lastName,
+    ]);
+
+    for (const key of getNameKeys(nameParts)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry.uid);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Get the blocking keys for a search
+ * @param {Object} searchParams - Search parameters
+ * @returns {Array<string>} - Blocking keys
+ */
+export function getSearchKeys(searchParams) {
+  return [
+    ...getNameKeys([
+      searchParams.firstName,
+      searchParams.middleName,
+      searchParams.lastName,
+    ]),
+  ];
+}
+
+/**
+ * Load the SDN entries worth scoring for a search
+ * Uses the stored index; falls back to every entry if the index is missing,
+ * was built by an older version of the blocking scheme, or finds fewer than
+ * MIN_CANDIDATES entries.
+ * Blocking trades some recall for speed: an entry is only scored if one of
+ * its name tokens shares a prefix, suffix or phonetic code with the search,
+ * so a name misspelled at both ends that also sounds different (e.g. some
+ * transliteration variants) can be missed unless the full scan runs.
+ * @param {Object} searchParams - Search parameters
+ * @returns {Promise<Array>} - Candidate SDN entries
+ */
+export async function findCandidateEntries(searchParams) {
+  const indexVersion = await getSetting("searchIndexVersion");
+
+  if (indexVersion !== SEARCH_INDEX_VERSION) {
+    return await getAllSDNEntries();
+  }
+
+  const uids = await getSearchIndexUids(getSearchKeys(searchParams));
+  if (uids.size < MIN_CANDIDATES) {
+    return await getAllSDNEntries();
+  }
+
+  return await getSDNEntriesByIds([...uids]);
+}
@@ -3,11 +3,16 @@
  * Handles database initialization, SDN entry storage, and search history
  */
 
+import { SDN_LIST_ID } from "./sanctions-lists.js";
+import { decryptJSON, encryptJSON, getVaultKey } from "./vault.js";
+
 const DB_NAME = "OFACDatabase";
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const SDN_STORE = "sdnEntries";
 const HISTORY_STORE = "searchHistory";
 const SETTINGS_STORE = "settings";
+const SEARCH_INDEX_STORE = "searchIndex";
+const AUDIT_LOG_STORE = "auditLog";
 
 let db = null;
 
@@ -47,6 +52,20 @@ export async function initDB() {
         sdnStore.createIndex("program", "program", { unique: false });
       }
 
+      // List of origin (added in version 5)
+      const sdnStore = event.target.transaction.objectStore(SDN_STORE);
+      if (!sdnStore.indexNames.contains("list")) {
+        sdnStore.createIndex("list", "list", { unique: false });
+
+        // Entries stored before then all came from the SDN list
+        sdnStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          cursor.update({ ...cursor.value, list: SDN_LIST_ID });
+          cursor.continue();
+        };
+      }
+
       // Search History Store
       if (!database.objectStoreNames.contains(HISTORY_STORE)) {
         const historyStore = database.createObjectStore(HISTORY_STORE, {
@@ -57,27 +76,71 @@ export async function initDB() {
         historyStore.createIndex("result", "result", { unique: false });
       }
 
+      // Certificate lookups (added in version 3)
+      const historyStore = event.target.transaction.objectStore(HISTORY_STORE);
+      if (!historyStore.indexNames.contains("refId")) {
+        historyStore.createIndex("refId", "refId", { unique: false });
+      }
+      if (!historyStore.indexNames.contains("digest")) {
+        historyStore.createIndex("digest", "digest", { unique: false });
+      }
+
       // Settings Store
       if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
         database.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
       }
+
+      // Search Index Store (blocking key -> SDN entry UIDs)
+      if (!database.objectStoreNames.contains(SEARCH_INDEX_STORE)) {
+        database.createObjectStore(SEARCH_INDEX_STORE, { keyPath: "key" });
+      }
+
+      // Audit Log Store (record purges, added in version 4)
+      if (!database.objectStoreNames.contains(AUDIT_LOG_STORE)) {
+        const auditStore = database.createObjectStore(AUDIT_LOG_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        auditStore.createIndex("timestamp", "timestamp", { unique: false });
+      }
     };
   });
 }
 
 /**
- * Clear all SDN entries from the database
+ * Replace the entries of one sanctions list
+ * The old entries are deleted and the new ones stored in a single
+ * transaction, so a failure part way keeps the previous entries
+ * @param {string} listId - List ID
+ * @param {Array} entries - Entries tagged with the list ID
  * @returns {Promise<void>}
  */
-export async function clearSDNEntries() {
+export async function replaceSDNEntries(listId, entries) {
   const database = await initDB();
   return new Promise((resolve, reject) => {
     const transaction = database.transaction([SDN_STORE], "readwrite");
     const store = transaction.objectStore(SDN_STORE);
-    const request = store.clear();
+    const request = store.index("list").openKeyCursor(IDBKeyRange.only(listId));
 
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(new Error("Failed to clear SDN entries"));
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+        return;
+      }
+
+      try {
+        entries.forEach((entry) => store.put(entry));
+      } catch (error) {
+        // An entry that cannot be stored (e.g. no uid) rolls back the delete
+        transaction.abort();
+      }
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () =>
+      reject(new Error("Failed to store list entries"));
   });
 }
 
@@ -130,6 +193,30 @@ export async function getAllSDNEntries() {
   });
 }
 
+/**
+ * Get SDN entries by UID
+ * @param {Array<string>} uids - Entry UIDs
+ * @returns {Promise<Array>} - Entries found (missing UIDs are skipped)
+ */
+export async function getSDNEntriesByIds(uids) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([SDN_STORE], "readonly");
+    const store = transaction.objectStore(SDN_STORE);
+    const entries = [];
+
+    uids.forEach((uid) => {
+      const request = store.get(uid);
+      request.onsuccess = () => {
+        if (request.result) entries.push(request.result);
+      };
+    });
+
+    transaction.oncomplete = () => resolve(entries);
+    transaction.onerror = () => reject(new Error("Failed to get SDN entries"));
+  });
+}
+
 /**
  * Get the count of SDN entries
  * @returns {Promise<number>}
@@ -146,22 +233,141 @@ export async function getSDNCount() {
   });
 }
 
+/**
+ * Count the entries stored for one sanctions list
+ * @param {string} listId - List ID
+ * @returns {Promise<number>}
+ */
+export async function getListEntryCount(listId) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([SDN_STORE], "readonly");
+    const index = transaction.objectStore(SDN_STORE).index("list");
+    const request = index.count(IDBKeyRange.only(listId));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(new Error("Failed to count list entries"));
+  });
+}
+
+/**
+ * Replace the search index
+ * @param {Map<string, Array<string>>} index - Blocking key -> entry UIDs
+ * @returns {Promise<void>}
+ */
+export async function storeSearchIndex(index) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([SEARCH_INDEX_STORE], "readwrite");
+    const store = transaction.objectStore(SEARCH_INDEX_STORE);
+
+    store.clear();
+    for (const [key, uids] of index) {
+      store.put({ key, uids });
+    }
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () =>
+      reject(new Error("Failed to store search index"));
+  });
+}
+
+/**
+ * Look up the entry UIDs filed under any of the given blocking keys
+ * @param {Array<string>} keys - Blocking keys
+ * @returns {Promise<Set<string>>} - Union of the matching buckets
+ */
+export async function getSearchIndexUids(keys) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([SEARCH_INDEX_STORE], "readonly");
+    const store = transaction.objectStore(SEARCH_INDEX_STORE);
+    const uids = new Set();
+
+    keys.forEach((key) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        request.result?.uids.forEach((uid) => uids.add(uid));
+      };
+    });
+
+    transaction.oncomplete = () => resolve(uids);
+    transaction.onerror = () =>
+      reject(new Error("Failed to read search index"));
+  });
+}
+
+/**
+ * Encrypt the customer details in a search history record
+ * Without a key (no passphrase set up yet) the record is stored as is
+ * @param {Object} record - Search history record
+ * @param {CryptoKey|null} key - Vault key
+ * @returns {Promise<Object>} - Record with encryptedParams instead of searchParams
+ */
+async function protectRecord(record, key) {
+  if (!key || !record.searchParams) return record;
+
+  const { searchParams, ...rest } = record;
+  return { ...rest, encryptedParams: await encryptJSON(key, searchParams) };
+}
+
+/**
+ * Decrypt the customer details in a stored search history record
+ * @param {Object} record - Stored search history record
+ * @param {CryptoKey|null} key - Vault key
+ * @returns {Promise<Object>} - Record with searchParams
+ */
+async function revealRecord(record, key) {
+  if (!record.encryptedParams) return record;
+  if (!key) {
+    throw new Error(
+      "Search history is encrypted, but no passphrase is set up to read it."
+    );
+  }
+
+  const { encryptedParams, ...rest } = record;
+  return { ...rest, searchParams: await decryptJSON(key, encryptedParams) };
+}
+
+/**
+ * Decrypt the customer details in stored search history records
+ * A record that cannot be decrypted is returned with empty searchParams and
+ * marked undecryptable, so it does not hide the rest of the history
+ * @param {Array<Object>} records - Stored search history records
+ * @param {CryptoKey|null} key - Vault key
+ * @returns {Promise<Array<Object>>}
+ */
+function revealRecords(records, key) {
+  return Promise.all(
+    records.map(async (record) => {
+      try {
+        return await revealRecord(record, key);
+      } catch (error) {
+        console.warn(`Failed to decrypt search history ${record.id}:`, error);
+        const { encryptedParams, ...rest } = record;
+        return { ...rest, searchParams: {}, undecryptable: true };
+      }
+    })
+  );
+}
+
 /**
  * Save a search to history
+ * Customer details are encrypted when a passphrase is set up
  * @param {Object} searchData - Search parameters and result
  * @returns {Promise<number>} - The ID of the saved search
  */
 export async function saveSearchHistory(searchData) {
   const database = await initDB();
+  const historyEntry = await protectRecord(
+    { timestamp: new Date().toISOString(), ...searchData },
+    await getVaultKey()
+  );
+
   return new Promise((resolve, reject) => {
     const transaction = database.transaction([HISTORY_STORE], "readwrite");
     const store = transaction.objectStore(HISTORY_STORE);
 
-    const historyEntry = {
-      ...searchData,
-      timestamp: new Date().toISOString(),
-    };
-
     const request = store.add(historyEntry);
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(new Error("Failed to save search history"));
@@ -175,7 +381,9 @@ export async function saveSearchHistory(searchData) {
  */
 export async function getSearchHistory(limit = 10) {
   const database = await initDB();
-  return new Promise((resolve, reject) => {
+  const key = await getVaultKey();
+
+  const records = await new Promise((resolve, reject) => {
     const transaction = database.transaction([HISTORY_STORE], "readonly");
     const store = transaction.objectStore(HISTORY_STORE);
     const index = store.index("timestamp");
@@ -195,21 +403,362 @@ export async function getSearchHistory(limit = 10) {
 
     request.onerror = () => reject(new Error("Failed to get search history"));
   });
+
+  return revealRecords(records, key);
 }
 
 /**
- * Clear search history
- * @returns {Promise<void>}
+ * Query search history for the history browser, newest first
+ * Date ranges use the timestamp index and result filters the result index.
+ * Customer names may be encrypted, so a name search decrypts every record in
+ * range and pages afterwards; otherwise only the requested page is decrypted
+ * @param {Object} filters - {from, to, result, name, offset, limit}
+ * @param {string} filters.from - Earliest timestamp (ISO string)
+ * @param {string} filters.to - Latest timestamp (ISO string)
+ * @param {string} filters.result - "PASSED" or "POTENTIAL_MATCH"
+ * @param {string} filters.name - Text to find in the customer name
+ * @returns {Promise<Object>} - {records, total} for the requested page
  */
-export async function clearSearchHistory() {
+export async function querySearchHistory({
+  from,
+  to,
+  result,
+  name,
+  offset = 0,
+  limit = 25,
+} = {}) {
   const database = await initDB();
+  const key = await getVaultKey();
+  const needle = name ? name.trim().toLowerCase() : "";
+
+  const { records, total } = await new Promise((resolve, reject) => {
+    const transaction = database.transaction([HISTORY_STORE], "readonly");
+    const store = transaction.objectStore(HISTORY_STORE);
+
+    let request;
+    if (from || to || !result) {
+      let range = null;
+      if (from && to) range = IDBKeyRange.bound(from, to);
+      else if (from) range = IDBKeyRange.lowerBound(from);
+      else if (to) range = IDBKeyRange.upperBound(to);
+      request = store.index("timestamp").openCursor(range, "prev");
+    } else {
+      request = store
+        .index("result")
+        .openCursor(IDBKeyRange.only(result), "prev");
+    }
+
+    const found = [];
+    let count = 0;
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve({ records: found, total: count });
+        return;
+      }
+
+      const record = cursor.value;
+      if (!result || record.result === result) {
+        if (needle || (count >= offset && found.length < limit)) {
+          found.push(record);
+        }
+        count++;
+      }
+
+      cursor.continue();
+    };
+
+    request.onerror = () => reject(new Error("Failed to query search history"));
+  });
+
+  if (!needle) {
+    return { records: await revealRecords(records, key), total };
+  }
+
+  const named = (await revealRecords(records, key)).filter((record) => {
+    const { firstName, middleName, lastName } = record.searchParams || {};
+    return [firstName, middleName, lastName]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase()
+      .includes(needle);
+  });
+
+  return {
+    records: named.slice(offset, offset + limit),
+    total: named.length,
+  };
+}
+
+/**
+ * Add screening records exported from another workstation
+ * Records already present (same reference ID) are skipped
+ * @param {Array<Object>} records - Sealed search history records
+ * @returns {Promise<Object>} - {imported, duplicates}
+ */
+export async function importSearchHistory(records) {
+  const database = await initDB();
+  const key = await getVaultKey();
+  const entries = await Promise.all(
+    records.map((record) => protectRecord(record, key))
+  );
+
   return new Promise((resolve, reject) => {
     const transaction = database.transaction([HISTORY_STORE], "readwrite");
     const store = transaction.objectStore(HISTORY_STORE);
-    const request = store.clear();
+    const refIdIndex = store.index("refId");
 
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(new Error("Failed to clear search history"));
+    let imported = 0;
+    let duplicates = 0;
+    const seen = new Set();
+
+    for (const record of entries) {
+      if (seen.has(record.refId)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(record.refId);
+
+      const request = refIdIndex.count(record.refId);
+      request.onsuccess = () => {
+        if (request.result > 0) {
+          duplicates++;
+          return;
+        }
+
+        // Imported records get a new local ID
+        const entry = { ...record };
+        delete entry.id;
+        store.add(entry);
+        imported++;
+      };
+    }
+
+    transaction.oncomplete = () => resolve({ imported, duplicates });
+    transaction.onerror = () =>
+      reject(new Error("Failed to import search history"));
+  });
+}
+
+/**
+ * Find the screening a certificate was issued for
+ * Either code may be typed in any case: reference IDs are stored in upper
+ * case and digests in lower case
+ * @param {string} query - Reference ID or SHA-256 digest from the certificate
+ * @returns {Promise<Object|null>} - The search history record, if any
+ */
+export async function findSearchHistoryRecord(query) {
+  const database = await initDB();
+  const key = await getVaultKey();
+
+  const record = await new Promise((resolve, reject) => {
+    const transaction = database.transaction([HISTORY_STORE], "readonly");
+    const store = transaction.objectStore(HISTORY_STORE);
+
+    const byRefId = store.index("refId").get(query.toUpperCase());
+    const byDigest = store.index("digest").get(query.toLowerCase());
+
+    transaction.oncomplete = () => {
+      resolve(byRefId.result || byDigest.result || null);
+    };
+    transaction.onerror = () =>
+      reject(new Error("Failed to look up search history"));
+  });
+
+  return record ? (await revealRecords([record], key))[0] : null;
+}
+
+/**
+ * Re-encrypt one stored search history record with a new key
+ * @param {Object} record - Stored search history record
+ * @param {CryptoKey} key - New vault key
+ * @param {CryptoKey|null} previousKey - Key the record may be encrypted with
+ * @returns {Promise<Object|null>} - Updated record, or null if already
+ *   encrypted with the new key or not readable with either key
+ */
+async function reencryptRecord(record, key, previousKey) {
+  if (record.encryptedParams) {
+    try {
+      await decryptJSON(key, record.encryptedParams);
+      return null;
+    } catch {
+      // Not the new key yet
+    }
+  }
+
+  const [revealed] = await revealRecords([record], previousKey);
+  return revealed.undecryptable ? null : protectRecord(revealed, key);
+}
+
+/**
+ * Encrypt all search history with a new key
+ * Used when a passphrase is first set up (records stored before then are
+ * plain) and when it is changed (records are decrypted with the old key).
+ * Records already encrypted with the new key are left alone, so an
+ * interrupted run can be repeated. Encryption happens between reading and
+ * writing, so a record changed in between (e.g. a disposition saved) is
+ * not overwritten but read again on the next pass.
+ * @param {CryptoKey} key - New vault key
+ * @param {CryptoKey|null} previousKey - Key the records are encrypted with now
+ * @returns {Promise<number>} - Number of records encrypted
+ */
+export async function encryptSearchHistory(key, previousKey = null) {
+  const database = await initDB();
+  let count = 0;
+
+  for (;;) {
+    const stored = await new Promise((resolve, reject) => {
+      const transaction = database.transaction([HISTORY_STORE], "readonly");
+      const request = transaction.objectStore(HISTORY_STORE).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(new Error("Failed to read search history"));
+    });
+
+    // Encrypt everything first: a transaction cannot wait on WebCrypto
+    const updates = [];
+    for (const record of stored) {
+      const updated = await reencryptRecord(record, key, previousKey);
+      if (updated) updates.push({ original: JSON.stringify(record), updated });
+    }
+    if (updates.length === 0) return count;
+
+    const { written, skipped } = await new Promise((resolve, reject) => {
+      const transaction = database.transaction([HISTORY_STORE], "readwrite");
+      const store = transaction.objectStore(HISTORY_STORE);
+      let written = 0;
+      let skipped = 0;
+
+      updates.forEach(({ original, updated }) => {
+        const request = store.get(updated.id);
+        request.onsuccess = () => {
+          if (JSON.stringify(request.result) === original) {
+            store.put(updated);
+            written++;
+          } else {
+            skipped++;
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve({ written, skipped });
+      transaction.onerror = () =>
+        reject(new Error("Failed to encrypt search history"));
+    });
+
+    count += written;
+    if (skipped === 0) return count;
+  }
+}
+
+/**
+ * Record the reviewer's disposition of one potential match in a search
+ * @param {number} historyId - ID of the search history record
+ * @param {string} uid - UID of the matched SDN entry
+ * @param {Object} disposition - {status, reason, reviewer, entryName}
+ * @returns {Promise<Object>} - The stored disposition (with timestamp)
+ */
+export async function saveMatchDisposition(historyId, uid, disposition) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([HISTORY_STORE], "readwrite");
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.get(historyId);
+
+    const stored = {
+      ...disposition,
+      timestamp: new Date().toISOString(),
+    };
+
+    request.onsuccess = () => {
+      const record = request.result;
+      if (!record) {
+        reject(new Error("Search history record not found"));
+        return;
+      }
+
+      record.dispositions = { ...record.dispositions, [uid]: stored };
+      store.put(record);
+    };
+
+    transaction.oncomplete = () => resolve(stored);
+    transaction.onerror = () => reject(new Error("Failed to save disposition"));
+  });
+}
+
+/**
+ * Delete search history older than the retention cutoff and log the purge
+ * Both happen in one transaction, so records are never removed unlogged;
+ * a purge that finds nothing to delete is not logged
+ * @param {string} cutoff - Records screened before this ISO timestamp are deleted
+ * @param {string} reason - What triggered the purge ("scheduled" or "manual")
+ * @returns {Promise<Object>} - The audit log entry for the purge
+ */
+export async function purgeSearchHistoryBefore(cutoff, reason) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(
+      [HISTORY_STORE, AUDIT_LOG_STORE],
+      "readwrite"
+    );
+    const historyStore = transaction.objectStore(HISTORY_STORE);
+    const request = historyStore
+      .index("timestamp")
+      .openCursor(IDBKeyRange.upperBound(cutoff, true));
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action: "purge",
+      reason,
+      cutoff,
+      count: 0,
+      refIds: [],
+    };
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        entry.count++;
+        if (cursor.value.refId) entry.refIds.push(cursor.value.refId);
+        cursor.delete();
+        cursor.continue();
+      } else if (entry.count > 0) {
+        transaction.objectStore(AUDIT_LOG_STORE).add(entry);
+      }
+    };
+
+    transaction.oncomplete = () => resolve(entry);
+    transaction.onerror = () =>
+      reject(new Error("Failed to purge search history"));
+  });
+}
+
+/**
+ * Get the most recent audit log entries
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Promise<Array>}
+ */
+export async function getAuditLog(limit = 10) {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([AUDIT_LOG_STORE], "readonly");
+    const store = transaction.objectStore(AUDIT_LOG_STORE);
+    const request = store.index("timestamp").openCursor(null, "prev");
+
+    const results = [];
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && results.length < limit) {
+        results.push(cursor.value);
+        cursor.continue();
+      } else {
+        resolve(results);
+      }
+    };
+
+    request.onerror = () => reject(new Error("Failed to get audit log"));
   });
 }
 
@@ -0,0 +1,264 @@
+/**
+ * Transliteration Utilities for OFAC Name Matching
+ * Folds diacritics, romanizes Cyrillic, Greek and Arabic script, and maps
+ * common romanization variants of a name to a single spelling
+ */
+
+// Cyrillic (Russian, Ukrainian, Belarusian, Serbian) to Latin
+const CYRILLIC_TO_LATIN = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "e",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  і: "i",
+  ї: "yi",
+  є: "ye",
+  ґ: "g",
+  ў: "u",
+  ђ: "dj",
+  ј: "j",
+  љ: "lj",
+  њ: "nj",
+  ћ: "c",
+  џ: "dz",
+};
+
+// Greek to Latin (accented vowels are reduced to their base letter first)
+const GREEK_TO_LATIN = {
+  α: "a",
+  β: "v",
+  γ: "g",
+  δ: "d",
+  ε: "e",
+  ζ: "z",
+  η: "i",
+  θ: "th",
+  ι: "i",
+  κ: "k",
+  λ: "l",
+  μ: "m",
+  ν: "n",
+  ξ: "x",
+  ο: "o",
+  π: "p",
+  ρ: "r",
+  σ: "s",
+  ς: "s",
+  τ: "t",
+  υ: "y",
+  φ: "f",
+  χ: "ch",
+  ψ: "ps",
+  ω: "o",
+};
+
+// Arabic and Persian letters to Latin (short vowels are not written in Arabic)
+const ARABIC_TO_LATIN = {
+  ا: "a",
+  أ: "a",
+  إ: "i",
+  آ: "a",
+  ٱ: "a",
+  ب: "b",
+  ت: "t",
+  ث: "th",
+  ج: "j",
+  ح: "h",
+  خ: "kh",
+  د: "d",
+  ذ: "dh",
+  ر: "r",
+  ز: "z",
+  س: "s",
+  ش: "sh",
+  ص: "s",
+  ض: "d",
+  ط: "t",
+  ظ: "z",
+  ع: "",
+  غ: "gh",
+  ف: "f",
+  ق: "q",
+  ك: "k",
+  ل: "l",
+  م: "m",
+  ن: "n",
+  ه: "h",
+  و: "w",
+  ي: "y",
+  ى: "a",
+  ة: "a",
+  ء: "",
+  ئ: "",
+  ؤ: "",
+  ـ: "",
+  پ: "p",
+  چ: "ch",
+  ژ: "zh",
+  گ: "g",
+  ک: "k",
+  ی: "y",
+};
+
+// Latin letters that Unicode decomposition does not reduce to ASCII
+const SPECIAL_LATIN = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  ł: "l",
+  đ: "d",
+  ð: "d",
+  þ: "th",
+  ı: "i",
+  ħ: "h",
+  ŧ: "t",
+  ŋ: "ng",
+};
+
+const SCRIPT_TO_LATIN = {
+  ...CYRILLIC_TO_LATIN,
+  ...GREEK_TO_LATIN,
+  ...ARABIC_TO_LATIN,
+  ...SPECIAL_LATIN,
+};
+
+/**
+ * Romanization variants, keyed by the canonical spelling
+ * Every spelling in a group is matched as the canonical one. Groups also list
+ * the consonant skeleton that romanized Arabic script produces (e.g. "mhmd")
+ */
+const NAME_VARIANTS = {
+  muhammad: [
+    "mohammed",
+    "mohammad",
+    "mohamed",
+    "mohamad",
+    "muhammed",
+    "muhamed",
+    "muhamad",
+    "mohamud",
+    "mohammud",
+    "mehmed",
+    "mhmd",
+  ],
+  ahmad: ["ahmed", "ahmet", "achmed", "ahmod", "ahmd"],
+  yusuf: [
+    "youssef",
+    "yousef",
+    "yusef",
+    "yousif",
+    "yusif",
+    "yousuf",
+    "yossef",
+    "youssouf",
+    "yussuf",
+    "ywsf",
+  ],
+  husayn: [
+    "hussein",
+    "husein",
+    "hussain",
+    "husain",
+    "hossein",
+    "houssein",
+    "hsyn",
+  ],
+  hasan: ["hassan", "hasen", "hsn"],
+  ali: ["aly"],
+  umar: ["omar", "omer", "umer"],
+  uthman: ["othman", "osman", "usman", "othmane"],
+  abdullah: ["abdallah", "abdulla", "abdellah"],
+  abdul: ["abdel", "abdal", "abdoul", "abdol"],
+  mustafa: ["mustapha", "moustafa", "mostafa", "moustapha"],
+  ibrahim: ["ebrahim", "ibraheem", "brahim", "ibrahym", "abrahym"],
+  khalid: ["khaled", "khaleed", "khald"],
+  mahmud: ["mahmoud", "mahmood", "mhmwd"],
+  said: ["saeed", "saied", "saaid"],
+  sayyid: ["sayed", "sayyed", "syed", "seyed", "seyyed"],
+  qasim: ["qassim", "qasem", "qassem", "kassem", "kasim", "kasem"],
+  yahya: ["yahia", "yehia", "yehya"],
+  abu: ["abou", "abo"],
+  al: ["el"],
+  aleksandr: ["alexander", "aleksander", "alexandr", "alexandre"],
+  aleksei: ["alexei", "alexey", "aleksey", "alexej"],
+  andrei: ["andrey", "andrej"],
+  dmitri: ["dmitry", "dmitriy", "dmitrij"],
+  evgeni: ["evgeny", "evgeniy", "yevgeny", "yevgeniy", "yevgeni"],
+  mikhail: ["michail", "mikhael"],
+  nikolai: ["nikolay", "nikolaj"],
+  sergei: ["sergey", "serguei", "sergej"],
+  yuri: ["yuriy", "yury", "iouri", "jurij"],
+};
+
+// Flattened lookup: variant spelling -> canonical spelling
+const VARIANT_TO_CANONICAL = {};
+for (const [canonical, variants] of Object.entries(NAME_VARIANTS)) {
+  for (const variant of variants) {
+    VARIANT_TO_CANONICAL[variant] = canonical;
+  }
+}
+
+/**
+ * Transliterate text to lowercase Latin letters
+ * Non-Latin scripts are romanized and diacritics are removed,
+ * so "Müller" becomes "muller" and "Путин" becomes "putin"
+ * @param {string} text - Text in any script
+ * @returns {string} - Lowercase Latin text
+ */
+export function transliterate(text) {
+  if (!text) return "";
+
+  let result = "";
+  for (const char of text.normalize("NFC").toLowerCase()) {
+    if (char in SCRIPT_TO_LATIN) {
+      result += SCRIPT_TO_LATIN[char];
+      continue;
+    }
+
+    // Accented letters (e.g. Greek with tonos) map through their base letter
+    const base = char.normalize("NFD")[0];
+    result += base in SCRIPT_TO_LATIN ? SCRIPT_TO_LATIN[base] : char;
+  }
+
+  // Fold any remaining diacritics (é -> e, ü -> u, ç -> c)
+  return result.normalize("NFKD").replace(/\p{M}/gu, "");
+}
+
+/**
+ * Map a romanization variant to its canonical spelling
+ * @param {string} token - Single normalized name token
+ * @returns {string} - Canonical spelling (or the token itself)
+ */
+export function canonicalizeToken(token) {
+  return VARIANT_TO_CANONICAL[token] || token;
+}
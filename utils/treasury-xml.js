@@ -0,0 +1,590 @@
+/**
+ * Treasury Sanctions List XML Parser
+ * Reads the lists as published by OFAC: the classic format (SDN.XML,
+ * CONS_PRIM.XML) and the Advanced Sanctions Data format (SDN_ADVANCED.XML,
+ * CONS_ADVANCED.XML). Entries come out in the same shape as parseSDNCSV.
+ * Uses DOMParser, so it runs on extension pages, not in the service worker.
+ */
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Advanced format reference values, by their published names
+const FEATURE_BIRTHDATE = "Birthdate";
+const FEATURE_PLACE_OF_BIRTH = "Place of Birth";
+const FEATURE_NATIONALITY = "Nationality Country";
+const FEATURE_ADDRESS = "Location";
+const SANCTIONS_TYPE_PROGRAM = "Program";
+const LATIN_SCRIPT = "Latin";
+
+// Advanced format name part types that hold given names
+const GIVEN_NAME_PARTS = {
+  "First Name": "firstName",
+  "Middle Name": "middleName",
+  Patronymic: "middleName",
+  Matronymic: "middleName",
+};
+
+/**
+ * Get the child elements of a node with a given local name
+ * @param {Element} node - Parent element
+ * @param {string} name - Local name
+ * @returns {Array<Element>}
+ */
+function children(node, name) {
+  return Array.from(node?.children || []).filter(
+    (child) => child.localName === name
+  );
+}
+
+/**
+ * Get the first child element of a node with a given local name
+ * @param {Element} node - Parent element
+ * @param {string} name - Local name
+ * @returns {Element|null}
+ */
+function child(node, name) {
+  return children(node, name)[0] || null;
+}
+
+/**
+ * Get the trimmed text of the first child element with a given local name
+ * @param {Element} node - Parent element
+ * @param {string} name - Local name
+ * @returns {string}
+ */
+function childText(node, name) {
+  return child(node, name)?.textContent.trim() || "";
+}
+
+/**
+ * Get all descendant elements with a given local name
+ * @param {Element|Document} node - Ancestor
+ * @param {string} name - Local name
+ * @returns {Array<Element>}
+ */
+function descendants(node, name) {
+  return Array.from(node.getElementsByTagNameNS("*", name));
+}
+
+/**
+ * Format a year, month and day as an ISO date, keeping only what is known
+ * @param {string} year
+ * @param {string} month
+ * @param {string} day
+ * @returns {string} - e.g. "1970-05-12", "1970-05" or "1970"
+ */
+function formatPartialDate(year, month, day) {
+  return [year, month, day]
+    .filter(Boolean)
+    .map((part, i) => (i === 0 ? part : part.padStart(2, "0")))
+    .join("-");
+}
+
+/**
+ * Convert a classic format date to the ISO form used by the CSV mirror
+ * @param {string} text - e.g. "12 May 1970", "May 1970", "1970" or "circa 1970"
+ * @returns {string} - e.g. "1970-05-12", "1970-05" or "1970"; other forms as is
+ */
+function toISODate(text) {
+  const value = text.replace(/^circa\s+/i, "").trim();
+  const match = value.match(/^(?:(\d{1,2})\s+)?([A-Za-z]{3})[a-z]*\s+(\d{4})$/);
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) + 1 : 0;
+
+  return month > 0
+    ? formatPartialDate(match[3], String(month), match[1])
+    : value;
+}
+
+/**
+ * Build a name record from its parts
+ * @param {Object} parts - {firstName, middleName, lastName}
+ * @returns {Object} - {firstName, middleName, lastName, fullName}
+ */
+function buildName({ firstName = "", middleName = "", lastName = "" }) {
+  return {
+    firstName,
+    middleName,
+    lastName,
+    fullName: [firstName, middleName, lastName].filter(Boolean).join(" "),
+  };
+}
+
+/**
+ * Build a name record from the classic format's given names and surname
+ * @param {string} givenNames - e.g. "Ivan Petrovich"
+ * @param {string} lastName - Surname, or the whole name of a non-individual
+ * @returns {Object} - {firstName, middleName, lastName, fullName}
+ */
+function buildClassicName(givenNames, lastName) {
+  const [firstName = "", ...middle] = givenNames.split(/\s+/).filter(Boolean);
+  return buildName({ firstName, middleName: middle.join(" "), lastName });
+}
+
+/**
+ * Format an address for the entry's single-line address field
+ * @param {Object} address - {address, city, state, postalCode, country}
+ * @returns {string}
+ */
+function formatAddress(address) {
+  return [
+    address.address,
+    address.city,
+    address.state,
+    address.postalCode,
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Assemble an entry in the parseSDNCSV shape from parsed details
+ * @param {Object} details - {uid, name, type, programs, remarks, dobs, pob, nationality, addresses, ids, aliases}
+ * @returns {Object} - SDN entry
+ */
+function buildEntry(details) {
+  const { name, addresses, aliases } = details;
+  const first = addresses[0] || {};
+  const country = details.nationality || first.country || "";
+
+  return {
+    uid: details.uid,
+    firstName: name.firstName,
+    middleName: name.middleName,
+    lastName: name.lastName,
+    fullName: name.fullName,
+    type: details.type,
+    programs: details.programs,
+    remarks:
+      details.remarks ||
+      `Aliases: ${aliases.map((alias) => alias.fullName).join("; ") || "None"}`,
+    dob: details.dobs.filter(Boolean).join(";"),
+    pob: details.pob,
+    nationality: country,
+    addresses,
+    ids: details.ids.filter((id) => id.number),
+    aliases,
+    address: addresses.map(formatAddress).filter(Boolean).join("; "),
+    city: first.city || "",
+    state: first.state || "",
+    country,
+  };
+}
+
+/**
+ * Parse the classic format (SDN.XML)
+ * @param {Document} doc - Parsed XML document
+ * @returns {Object} - {entries, publishDate}
+ */
+function parseClassicXML(doc) {
+  // Publish_Date is MM/DD/YYYY
+  const publishInfo = descendants(doc, "publshInformation")[0];
+  const [month, day, year] = childText(publishInfo, "Publish_Date").split("/");
+  const publishDate = year ? formatPartialDate(year, month, day) : null;
+
+  const entries = descendants(doc, "sdnEntry").map((node) => {
+    const items = (listName, itemName) =>
+      children(child(node, listName), itemName);
+
+    return buildEntry({
+      uid: childText(node, "uid"),
+      name: buildClassicName(
+        childText(node, "firstName"),
+        childText(node, "lastName")
+      ),
+      type: childText(node, "sdnType") || "Entity",
+      programs: items("programList", "program").map((item) =>
+        item.textContent.trim()
+      ),
+      remarks: childText(node, "remarks"),
+      dobs: items("dateOfBirthList", "dateOfBirthItem").map((item) =>
+        toISODate(childText(item, "dateOfBirth"))
+      ),
+      pob: childText(
+        items("placeOfBirthList", "placeOfBirthItem")[0],
+        "placeOfBirth"
+      ),
+      nationality: childText(
+        items("nationalityList", "nationality")[0],
+        "country"
+      ),
+      addresses: items("addressList", "address").map((item) => ({
+        address: ["address1", "address2", "address3"]
+          .map((field) => childText(item, field))
+          .filter(Boolean)
+          .join(", "),
+        city: childText(item, "city"),
+        state: childText(item, "stateOrProvince"),
+        postalCode: childText(item, "postalCode"),
+        country: childText(item, "country"),
+      })),
+      ids: items("idList", "id").map((item) => ({
+        type: childText(item, "idType") || "ID",
+        number: childText(item, "idNumber"),
+        country: childText(item, "idCountry"),
+      })),
+      aliases: items("akaList", "aka").map((item) =>
+        buildClassicName(
+          childText(item, "firstName"),
+          childText(item, "lastName")
+        )
+      ),
+    });
+  });
+
+  return { entries, publishDate };
+}
+
+/**
+ * Read the advanced format's reference value sets
+ * @param {Document} doc - Parsed XML document
+ * @returns {Object} - {SetName: {ID: element}}, e.g. refs.CountryValues["11"]
+ */
+function readReferenceValues(doc) {
+  const refs = {};
+  const sets = descendants(doc, "ReferenceValueSets")[0];
+
+  for (const set of Array.from(sets?.children || [])) {
+    refs[set.localName] = {};
+    for (const value of Array.from(set.children)) {
+      refs[set.localName][value.getAttribute("ID")] = value;
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Get the text of a reference value
+ * @param {Object} refs - From readReferenceValues
+ * @param {string} set - Reference value set, e.g. "CountryValues"
+ * @param {string} id - Value ID
+ * @returns {string}
+ */
+function refText(refs, set, id) {
+  return refs[set]?.[id]?.textContent.trim() || "";
+}
+
+/**
+ * Read the advanced format's locations (addresses)
+ * @param {Document} doc - Parsed XML document
+ * @param {Object} refs - From readReferenceValues
+ * @returns {Object} - {ID: {address, city, state, postalCode, country}}
+ */
+function readLocations(doc, refs) {
+  const locations = {};
+
+  for (const node of descendants(doc, "Location")) {
+    const parts = {};
+    for (const part of children(node, "LocationPart")) {
+      const type = refText(
+        refs,
+        "LocPartTypeValues",
+        part.getAttribute("LocPartTypeID")
+      ).toUpperCase();
+      parts[type] = descendants(part, "Value")[0]?.textContent.trim() || "";
+    }
+
+    locations[node.getAttribute("ID")] = {
+      address: [parts.ADDRESS1, parts.ADDRESS2, parts.ADDRESS3]
+        .filter(Boolean)
+        .join(", "),
+      city: parts.CITY || "",
+      state: parts["STATE/PROVINCE"] || parts.REGION || "",
+      postalCode: parts["POSTAL CODE"] || "",
+      country: refText(
+        refs,
+        "CountryValues",
+        child(node, "LocationCountry")?.getAttribute("CountryID")
+      ),
+    };
+  }
+
+  return locations;
+}
+
+/**
+ * Read the advanced format's identity documents
+ * @param {Document} doc - Parsed XML document
+ * @param {Object} refs - From readReferenceValues
+ * @returns {Object} - {IdentityID: [{type, number, country}]}
+ */
+function readDocuments(doc, refs) {
+  const documents = {};
+
+  for (const node of descendants(doc, "IDRegDocument")) {
+    const identityId = node.getAttribute("IdentityID");
+    (documents[identityId] = documents[identityId] || []).push({
+      type:
+        refText(
+          refs,
+          "IDRegDocTypeValues",
+          node.getAttribute("IDRegDocTypeID")
+        ) || "ID",
+      number: childText(node, "IDRegistrationNo"),
+      country: refText(
+        refs,
+        "CountryValues",
+        node.getAttribute("IssuedBy-CountryID")
+      ),
+    });
+  }
+
+  return documents;
+}
+
+/**
+ * Read the sanctions programs of each profile in the advanced format
+ * @param {Document} doc - Parsed XML document
+ * @param {Object} refs - From readReferenceValues
+ * @returns {Object} - {ProfileID: [program]}
+ */
+function readPrograms(doc, refs) {
+  const programs = {};
+
+  for (const node of descendants(doc, "SanctionsEntry")) {
+    const profileId = node.getAttribute("ProfileID");
+    programs[profileId] = children(node, "SanctionsMeasure")
+      .filter(
+        (measure) =>
+          refText(
+            refs,
+            "SanctionsTypeValues",
+            measure.getAttribute("SanctionsTypeID")
+          ) === SANCTIONS_TYPE_PROGRAM
+      )
+      .map((measure) => childText(measure, "Comment"))
+      .filter(Boolean);
+  }
+
+  return programs;
+}
+
+/**
+ * Read one alias of an identity in the advanced format
+ * Names published in several scripts are read from the Latin one
+ * @param {Element} alias - Alias element
+ * @param {Object} partTypes - {NamePartGroupID: name part type}
+ * @param {Object} refs - From readReferenceValues
+ * @returns {Object} - {firstName, middleName, lastName, fullName}
+ */
+function readAliasName(alias, partTypes, refs) {
+  const names = children(alias, "DocumentedName");
+  const isLatin = (name) =>
+    descendants(name, "NamePartValue").every(
+      (value) =>
+        refText(refs, "ScriptValues", value.getAttribute("ScriptID")) ===
+        LATIN_SCRIPT
+    );
+  const name = names.find(isLatin) || names[0];
+
+  const parts = { firstName: [], middleName: [], lastName: [] };
+  for (const value of descendants(name, "NamePartValue")) {
+    const type = partTypes[value.getAttribute("NamePartGroupID")];
+    parts[GIVEN_NAME_PARTS[type] || "lastName"].push(value.textContent.trim());
+  }
+
+  return buildName({
+    firstName: parts.firstName.join(" "),
+    middleName: parts.middleName.join(" "),
+    lastName: parts.lastName.join(" "),
+  });
+}
+
+/**
+ * Format an advanced format date period as an ISO date
+ * Year-only and month-only dates are published as a period covering the
+ * whole year or month
+ * @param {Element} period - DatePeriod element
+ * @returns {string} - e.g. "1970-05-12", "1970", or "1966 to 1968" for a range
+ */
+function formatDatePeriod(period) {
+  const readDate = (node) => ({
+    year: childText(node, "Year"),
+    month: childText(node, "Month"),
+    day: childText(node, "Day"),
+  });
+
+  const start = readDate(child(child(period, "Start"), "From"));
+  const end = readDate(child(child(period, "End"), "To"));
+  const wholeYears =
+    start.month === "1" &&
+    start.day === "1" &&
+    end.month === "12" &&
+    end.day === "31";
+
+  if (wholeYears) {
+    return start.year === end.year
+      ? start.year
+      : `${start.year} to ${end.year}`;
+  }
+
+  const from = formatPartialDate(start.year, start.month, start.day);
+  const to = formatPartialDate(end.year, end.month, end.day);
+  if (!end.year || from === to) return from;
+
+  // The whole of one month
+  const lastDay = new Date(Number(end.year), Number(end.month), 0).getDate();
+  if (
+    start.year === end.year &&
+    start.month === end.month &&
+    start.day === "1" &&
+    Number(end.day) === lastDay
+  ) {
+    return formatPartialDate(start.year, start.month);
+  }
+
+  return `${from} to ${to}`;
+}
+
+/**
+ * Parse the advanced format (SDN_ADVANCED.XML)
+ * @param {Document} doc - Parsed XML document
+ * @returns {Object} - {entries, publishDate}
+ */
+function parseAdvancedXML(doc) {
+  const refs = readReferenceValues(doc);
+  const locations = readLocations(doc, refs);
+  const documents = readDocuments(doc, refs);
+  const programs = readPrograms(doc, refs);
+
+  const issued = descendants(doc, "DateOfIssue")[0];
+  const publishDate = issued
+    ? formatPartialDate(
+        childText(issued, "Year"),
+        childText(issued, "Month"),
+        childText(issued, "Day")
+      )
+    : null;
+
+  const entries = descendants(doc, "DistinctParty").map((party) => {
+    const profile = child(party, "Profile");
+    const profileId = profile.getAttribute("ID");
+    const identity =
+      children(profile, "Identity").find(
+        (node) => node.getAttribute("Primary") === "true"
+      ) || child(profile, "Identity");
+
+    // Name part groups say which part of the name each value is
+    const partTypes = {};
+    for (const group of descendants(identity, "NamePartGroup")) {
+      partTypes[group.getAttribute("ID")] = refText(
+        refs,
+        "NamePartTypeValues",
+        group.getAttribute("NamePartTypeID")
+      );
+    }
+
+    const aliases = children(identity, "Alias");
+    const primary =
+      aliases.find((alias) => alias.getAttribute("Primary") === "true") ||
+      aliases[0];
+
+    // Party sub-types name vessels and aircraft; otherwise use the party type
+    const subType =
+      refs.PartySubTypeValues?.[profile.getAttribute("PartySubTypeID")];
+    const subTypeName = subType?.textContent.trim() || "";
+    const type = ["Vessel", "Aircraft"].includes(subTypeName)
+      ? subTypeName
+      : refText(
+          refs,
+          "PartyTypeValues",
+          subType?.getAttribute("PartyTypeID")
+        ) || "Entity";
+
+    const features = {};
+    for (const feature of children(profile, "Feature")) {
+      const name = refText(
+        refs,
+        "FeatureTypeValues",
+        feature.getAttribute("FeatureTypeID")
+      );
+      (features[name] = features[name] || []).push(
+        child(feature, "FeatureVersion")
+      );
+    }
+
+    const featureLocations = (name) =>
+      (features[name] || [])
+        .map(
+          (version) =>
+            locations[
+              child(version, "VersionLocation")?.getAttribute("LocationID")
+            ]
+        )
+        .filter(Boolean);
+
+    const featureText = (name) =>
+      (features[name] || [])
+        .map((version) => childText(version, "VersionDetail"))
+        .find(Boolean) || "";
+
+    return buildEntry({
+      uid: profileId,
+      name: readAliasName(primary, partTypes, refs),
+      type,
+      programs: programs[profileId] || [],
+      remarks: childText(party, "Comment"),
+      dobs: (features[FEATURE_BIRTHDATE] || [])
+        .map((version) => child(version, "DatePeriod"))
+        .filter(Boolean)
+        .map(formatDatePeriod),
+      pob:
+        featureText(FEATURE_PLACE_OF_BIRTH) ||
+        featureLocations(FEATURE_PLACE_OF_BIRTH).map(formatAddress)[0] ||
+        "",
+      nationality:
+        featureLocations(FEATURE_NATIONALITY)[0]?.country ||
+        featureText(FEATURE_NATIONALITY),
+      addresses: featureLocations(FEATURE_ADDRESS),
+      ids: documents[identity.getAttribute("ID")] || [],
+      aliases: aliases
+        .filter((alias) => alias !== primary)
+        .map((alias) => readAliasName(alias, partTypes, refs)),
+    });
+  });
+
+  return { entries, publishDate };
+}
+
+/**
+ * Parse a Treasury sanctions list XML file
+ * @param {string} xmlText - Contents of SDN.XML, SDN_ADVANCED.XML or their
+ *   consolidated list counterparts
+ * @returns {Object} - {entries, publishDate, format}
+ * @throws {Error} - If the text is not a Treasury list
+ */
+export function parseTreasuryXML(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not valid XML.");
+  }
+
+  const root = doc.documentElement.localName;
+
+  if (root === "sdnList") {
+    return { ...parseClassicXML(doc), format: "Treasury XML" };
+  }
+
+  if (root === "Sanctions") {
+    return { ...parseAdvancedXML(doc), format: "Treasury Advanced XML" };
+  }
+
+  throw new Error(
+    "The file is not a Treasury sanctions list (SDN.XML or SDN_ADVANCED.XML)."
+  );
+}
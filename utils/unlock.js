@@ -0,0 +1,206 @@
+/**
+ * Passphrase Prompt
+ * Covers the page until customer data is unlocked, and sets up the
+ * passphrase the first time. Pages call requireUnlock before reading search
+ * history and watchIdle to lock again after the idle time.
+ */
+
+import { encryptSearchHistory } from "./storage.js";
+import {
+  createVaultKey,
+  finishReencryption,
+  getPendingReencryption,
+  getVaultKey,
+  isVaultConfigured,
+  isVaultLocked,
+  MIN_PASSPHRASE_LENGTH,
+  saveVault,
+  touchVault,
+  unlockVault,
+} from "./vault.js";
+
+// How often to check for the idle lock and record activity
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
+let pendingUnlock = null;
+let lastTouch = 0;
+
+/**
+ * Show the prompt if customer data is locked or no passphrase is set up
+ * @returns {Promise<void>} - Resolves once customer data can be read
+ */
+export async function requireUnlock() {
+  if (pendingUnlock) return pendingUnlock;
+
+  const configured = await isVaultConfigured();
+  if (configured && !(await isVaultLocked())) return resumeHistoryEncryption();
+
+  pendingUnlock = showPrompt(configured)
+    .then(resumeHistoryEncryption)
+    .finally(() => {
+      pendingUnlock = null;
+    });
+  return pendingUnlock;
+}
+
+/**
+ * Re-encrypt search history with the current key after the passphrase was
+ * set up or changed, including a run interrupted by closing the page
+ * @returns {Promise<number>} - Number of records re-encrypted
+ */
+export async function finishHistoryEncryption() {
+  const key = await getVaultKey();
+  const pending = key && (await getPendingReencryption(key));
+  if (!pending) return 0;
+
+  const count = await encryptSearchHistory(key, pending.previousKey);
+  await finishReencryption();
+  return count;
+}
+
+/**
+ * Resume an interrupted re-encryption without blocking the page on failure
+ * The previous key is kept, so it is tried again on the next unlock
+ */
+async function resumeHistoryEncryption() {
+  try {
+    await finishHistoryEncryption();
+  } catch (error) {
+    console.error("Failed to re-encrypt search history:", error);
+  }
+}
+
+/**
+ * Lock the page again after the idle time
+ * Activity on the page postpones the lock
+ * @param {Function} [onUnlock] - Called after the passphrase is entered again
+ */
+export function watchIdle(onUnlock) {
+  const recordActivity = () => {
+    if (Date.now() - lastTouch < IDLE_CHECK_INTERVAL_MS) return;
+    lastTouch = Date.now();
+    touchVault();
+  };
+
+  document.addEventListener("keydown", recordActivity);
+  document.addEventListener("pointerdown", recordActivity);
+
+  setInterval(async () => {
+    if (pendingUnlock || !(await isVaultLocked())) return;
+
+    await requireUnlock();
+    await onUnlock?.();
+  }, IDLE_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Cover the page with the unlock or set-up form
+ * @param {boolean} configured - Whether a passphrase is already set up
+ * @returns {Promise<void>} - Resolves once unlocked
+ */
+function showPrompt(configured) {
+  const overlay = document.createElement("div");
+  overlay.className = "lock-overlay";
+  overlay.innerHTML = `
+    <form class="lock-card">
+      <h2>${configured ? "Unlock Customer Data" : "Protect Customer Data"}</h2>
+      <p class="lock-hint">
+        ${
+          configured
+            ? "Enter the store passphrase or PIN to view search history."
+            : `Choose a passphrase or PIN (at least ${MIN_PASSPHRASE_LENGTH} characters). Customer names, dates of birth, ID numbers and addresses in search history are encrypted with it.`
+        }
+      </p>
+      <div class="form-group">
+        <label for="lockPassphrase">Passphrase or PIN</label>
+        <input type="password" id="lockPassphrase" autocomplete="off" />
+      </div>
+      ${
+        configured
+          ? ""
+          : `<div class="form-group">
+        <label for="lockConfirm">Confirm Passphrase</label>
+        <input type="password" id="lockConfirm" autocomplete="off" />
+      </div>
+      <p class="lock-warning">
+        The passphrase cannot be recovered. Without it, search history
+        cannot be read.
+      </p>`
+      }
+      <p class="lock-error" hidden></p>
+      <button type="submit" class="search-btn">
+        ${configured ? "Unlock" : "Set Passphrase"}
+      </button>
+    </form>
+  `;
+  document.body.appendChild(overlay);
+
+  const form = overlay.querySelector("form");
+  const passphrase = overlay.querySelector("#lockPassphrase");
+  const confirm = overlay.querySelector("#lockConfirm");
+  const error = overlay.querySelector(".lock-error");
+  const button = overlay.querySelector("button");
+  passphrase.focus();
+
+  return new Promise((resolve) => {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      error.hidden = true;
+      button.disabled = true;
+
+      try {
+        const message = configured
+          ? await unlock(passphrase.value)
+          : await setUp(passphrase.value, confirm.value);
+
+        if (message) {
+          error.textContent = message;
+          error.hidden = false;
+          passphrase.select();
+          return;
+        }
+
+        overlay.remove();
+        lastTouch = Date.now();
+        resolve();
+      } catch (err) {
+        console.error("Failed to unlock customer data:", err);
+        error.textContent = "Failed to unlock: " + err.message;
+        error.hidden = false;
+      } finally {
+        button.disabled = false;
+      }
+    });
+  });
+}
+
+/**
+ * Unlock with the entered passphrase
+ * @param {string} passphrase
+ * @returns {Promise<string|null>} - Error message, or null when unlocked
+ */
+async function unlock(passphrase) {
+  return (await unlockVault(passphrase))
+    ? null
+    : "Incorrect passphrase. Try again.";
+}
+
+/**
+ * Set up the passphrase; the existing search history is encrypted with it
+ * once the prompt closes
+ * @param {string} passphrase
+ * @param {string} confirmation - The passphrase entered a second time
+ * @returns {Promise<string|null>} - Error message, or null when set up
+ */
+async function setUp(passphrase, confirmation) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+  }
+  if (passphrase !== confirmation) {
+    return "The passphrases do not match.";
+  }
+
+  const { key, config } = await createVaultKey(passphrase);
+  await saveVault(config, key);
+  return null;
+}
@@ -0,0 +1,345 @@
+/**
+ * Customer Data Encryption
+ * Search history keeps customer names, DOBs, ID numbers and addresses
+ * encrypted with AES-GCM. The key is derived from the store's passphrase or
+ * PIN with PBKDF2 and, while unlocked, held only in session storage (memory,
+ * cleared when the browser closes). It is dropped after the configured idle
+ * time, and the pages ask for the passphrase again.
+ *
+ * The key settings live in chrome.storage.local rather than the settings
+ * store, because the IndexedDB storage layer itself depends on this module.
+ */
+
+const CONFIG_KEY = "vaultConfig"; // chrome.storage.local
+const SESSION_KEY = "vaultSession"; // chrome.storage.session
+const PBKDF2_ITERATIONS = 600000;
+
+// Encrypted with the key so a passphrase can be checked without any records
+const VERIFIER_TEXT = "ofac-compliance-search";
+
+export const DEFAULT_IDLE_MINUTES = 15;
+export const MIN_PASSPHRASE_LENGTH = 6;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = "";
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Create the error thrown when encrypted data is needed while locked
+ * @returns {Error}
+ */
+function lockedError() {
+  const error = new Error("Customer data is locked. Enter the passphrase.");
+  error.code = "VAULT_LOCKED";
+  return error;
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase - Store passphrase or PIN
+ * @param {Uint8Array} salt - Random salt saved with the key settings
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  // Extractable so the unlocked key can be kept in session storage
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypt a JSON value
+ * @param {CryptoKey} key - Vault key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} - {iv, data} as base64
+ */
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value encrypted by encryptJSON
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} box - {iv, data} as base64
+ * @returns {Promise<*>}
+ */
+export async function decryptJSON(key, box) {
+  const data = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(box.iv) },
+    key,
+    fromBase64(box.data)
+  );
+
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Get the saved key settings
+ * @returns {Promise<Object|null>} - {salt, iterations, verifier, idleMinutes}
+ */
+async function getConfig() {
+  const stored = await chrome.storage.local.get(CONFIG_KEY);
+  return stored[CONFIG_KEY] || null;
+}
+
+/**
+ * Check whether a passphrase has been set up
+ * @returns {Promise<boolean>}
+ */
+export async function isVaultConfigured() {
+  return (await getConfig()) !== null;
+}
+
+/**
+ * Create a key for a new passphrase
+ * Nothing is saved until saveVault is called
+ * @param {string} passphrase - Store passphrase or PIN
+ * @returns {Promise<Object>} - {key, config}
+ */
+export async function createVaultKey(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const previous = await getConfig();
+
+  return {
+    key,
+    config: {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encryptJSON(key, VERIFIER_TEXT),
+      idleMinutes: previous?.idleMinutes ?? DEFAULT_IDLE_MINUTES,
+    },
+  };
+}
+
+/**
+ * Save the key settings for a passphrase and unlock with its key
+ * Search history is re-encrypted afterwards. Until finishReencryption is
+ * called, the settings keep the previous key (encrypted with the new one),
+ * so an interrupted re-encryption can be resumed
+ * @param {Object} config - From createVaultKey
+ * @param {CryptoKey} key - From createVaultKey
+ * @param {CryptoKey|null} previousKey - Key the history is encrypted with
+ *   now; null when it is not encrypted yet
+ */
+export async function saveVault(config, key, previousKey = null) {
+  const reencrypt = {
+    previousKey: previousKey
+      ? await encryptJSON(
+          key,
+          toBase64(await crypto.subtle.exportKey("raw", previousKey))
+        )
+      : null,
+  };
+
+  await chrome.storage.local.set({ [CONFIG_KEY]: { ...config, reencrypt } });
+  await startSession(key);
+}
+
+/**
+ * Get the key search history still has to be re-encrypted from
+ * @param {CryptoKey} key - Current vault key
+ * @returns {Promise<Object|null>} - {previousKey}, with a null key when the
+ *   history is not encrypted yet; null when nothing is left to re-encrypt
+ */
+export async function getPendingReencryption(key) {
+  const pending = (await getConfig())?.reencrypt;
+  if (!pending) return null;
+  if (!pending.previousKey) return { previousKey: null };
+
+  return {
+    previousKey: await importKey(
+      fromBase64(await decryptJSON(key, pending.previousKey))
+    ),
+  };
+}
+
+/**
+ * Forget the previous key once search history is re-encrypted
+ */
+export async function finishReencryption() {
+  const config = await getConfig();
+  if (!config?.reencrypt) return;
+
+  const { reencrypt, ...rest } = config;
+  await chrome.storage.local.set({ [CONFIG_KEY]: rest });
+}
+
+/**
+ * Derive the key for a passphrase if it is the right one
+ * @param {string} passphrase - Store passphrase or PIN
+ * @returns {Promise<CryptoKey|null>} - Null if the passphrase is wrong
+ */
+export async function checkPassphrase(passphrase) {
+  const config = await getConfig();
+  if (!config) return null;
+
+  const key = await deriveKey(
+    passphrase,
+    fromBase64(config.salt),
+    config.iterations
+  );
+
+  try {
+    return (await decryptJSON(key, config.verifier)) === VERIFIER_TEXT
+      ? key
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unlock with the passphrase
+ * @param {string} passphrase - Store passphrase or PIN
+ * @returns {Promise<boolean>} - Whether the passphrase was right
+ */
+export async function unlockVault(passphrase) {
+  const key = await checkPassphrase(passphrase);
+  if (!key) return false;
+
+  await startSession(key);
+  return true;
+}
+
+/**
+ * Keep the unlocked key in session storage
+ * @param {CryptoKey} key - Vault key
+ */
+async function startSession(key) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await chrome.storage.session.set({
+    [SESSION_KEY]: { key: toBase64(raw), lastActivity: Date.now() },
+  });
+}
+
+/**
+ * Lock: forget the unlocked key
+ */
+export async function lockVault() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Get the unlocked session, locking it if it has been idle too long
+ * @returns {Promise<Object|null>} - {key, lastActivity}, or null when locked
+ */
+async function getSession() {
+  const config = await getConfig();
+  const stored = await chrome.storage.session.get(SESSION_KEY);
+  const session = stored[SESSION_KEY];
+  if (!config || !session) return null;
+
+  const idleMs = config.idleMinutes * 60 * 1000;
+  if (Date.now() - session.lastActivity > idleMs) {
+    await lockVault();
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Check whether a passphrase is needed before customer data can be read
+ * @returns {Promise<boolean>}
+ */
+export async function isVaultLocked() {
+  return (await isVaultConfigured()) && (await getSession()) === null;
+}
+
+/**
+ * Get the key for encrypting and decrypting customer data
+ * @returns {Promise<CryptoKey|null>} - Null when no passphrase is set up yet
+ * @throws {Error} - With code VAULT_LOCKED when set up but locked
+ */
+export async function getVaultKey() {
+  if (!(await isVaultConfigured())) return null;
+
+  const session = await getSession();
+  if (!session) throw lockedError();
+
+  return importKey(fromBase64(session.key));
+}
+
+/**
+ * Import a raw AES-GCM key
+ * @param {Uint8Array} raw - Key bytes
+ * @returns {Promise<CryptoKey>}
+ */
+function importKey(raw) {
+  return crypto.subtle.importKey("raw", raw, { name: "AES-GCM" }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+/**
+ * Record user activity, postponing the idle lock
+ */
+export async function touchVault() {
+  const session = await getSession();
+  if (!session) return;
+
+  await chrome.storage.session.set({
+    [SESSION_KEY]: { ...session, lastActivity: Date.now() },
+  });
+}
+
+/**
+ * Get the idle time after which the pages lock
+ * @returns {Promise<number>} - Minutes
+ */
+export async function getIdleMinutes() {
+  return (await getConfig())?.idleMinutes ?? DEFAULT_IDLE_MINUTES;
+}
+
+/**
+ * Set the idle time after which the pages lock
+ * @param {number} minutes
+ */
+export async function setIdleMinutes(minutes) {
+  const config = await getConfig();
+  if (!config) throw new Error("Set a passphrase first.");
+
+  await chrome.storage.local.set({
+    [CONFIG_KEY]: { ...config, idleMinutes: minutes },
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * OFAC Compliance Search Chrome Extension
+ * Verify Certificate Page JavaScript
+ */
+
+import { DISPOSITIONS } from "./utils/disposition.js";
+import { verifyRecord } from "./utils/integrity.js";
+import {
+  getListShortName,
+  getListsSearched,
+  getListPublishDates,
+} from "./utils/sanctions-lists.js";
+import { initDB, findSearchHistoryRecord } from "./utils/storage.js";
+import { requireUnlock, watchIdle } from "./utils/unlock.js";
+
+// DOM Elements
+const elements = {
+  verifyForm: document.getElementById("verifyForm"),
+  verifyQuery: document.getElementById("verifyQuery"),
+  verifyBtn: document.getElementById("verifyBtn"),
+  verifyResult: document.getElementById("verifyResult"),
+};
+
+/**
+ * Initialize the verify page
+ */
+async function init() {
+  try {
+    await initDB();
+    await requireUnlock();
+    setupEventListeners();
+    watchIdle();
+  } catch (error) {
+    console.error("Failed to initialize verify page:", error);
+    alert("Failed to open the screening database.");
+  }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  elements.verifyForm.addEventListener("submit", handleVerify);
+}
+
+/**
+ * Handle verify form submission
+ */
+async function handleVerify(e) {
+  e.preventDefault();
+
+  const query = elements.verifyQuery.value.trim();
+  if (!query) return;
+
+  elements.verifyBtn.disabled = true;
+
+  try {
+    const record = await findSearchHistoryRecord(query);
+
+    if (!record) {
+      showNotFound(query);
+    } else if (record.undecryptable) {
+      alert(
+        "This screening was found, but its customer details cannot be decrypted with the current passphrase, so it cannot be verified."
+      );
+    } else {
+      showRecord(record, await verifyRecord(record));
+    }
+  } catch (error) {
+    console.error("Verification failed:", error);
+    alert("Verification failed: " + error.message);
+  } finally {
+    elements.verifyBtn.disabled = false;
+  }
+}
+
+/**
+ * Show that no screening matches the reference
+ */
+function showNotFound(query) {
+  elements.verifyResult.innerHTML = `
+    <div class="result-card match fade-in">
+      <div class="result-status match">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"/>
+          <line x1="15" y1="9" x2="9" y2="15"/>
+          <line x1="9" y1="9" x2="15" y2="15"/>
+        </svg>
+        <span class="result-status-text">NO SCREENING FOUND</span>
+      </div>
+      <div class="result-details">
+        <p>No screening in this browser has the reference ID or digest
+        <strong>${escapeHtml(query)}</strong>. The certificate may have been
+        issued on another computer, or it is not genuine.</p>
+      </div>
+    </div>
+  `;
+  elements.verifyResult.classList.add("show");
+}
+
+/**
+ * Show a stored screening and whether it still matches its digest
+ * @param {Object} record - Search history record
+ * @param {boolean} intact - Whether the record matches its digest
+ */
+function showRecord(record, intact) {
+  const { searchParams } = record;
+
+  const fullName = [
+    searchParams.firstName,
+    searchParams.middleName,
+    searchParams.lastName,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const fullAddress = [
+    searchParams.address,
+    searchParams.city,
+    searchParams.state,
+    searchParams.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const dispositions = Object.values(record.dispositions || {});
+  const matches = record.matches || [];
+  const list = record.listSnapshot || {};
+
+  elements.verifyResult.innerHTML = `
+    <div class="result-card ${intact ? "passed" : "match"} fade-in">
+      <div class="result-status ${intact ? "passed" : "match"}">
+        ${
+          intact
+            ? `
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+            <polyline points="22 4 12 14.01 9 11.01"/>
+          </svg>
+          <span class="result-status-text">VERIFIED - RECORD MATCHES DIGEST</span>
+        `
+            : `
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"/>
+            <line x1="12" y1="8" x2="12" y2="12"/>
+            <line x1="12" y1="16" x2="12.01" y2="16"/>
+          </svg>
+          <span class="result-status-text">RECORD ALTERED - DIGEST MISMATCH</span>
+        `
+        }
+      </div>
+      <div class="result-details">
+        <p><strong>Reference ID:</strong> ${escapeHtml(record.refId)}</p>
+        <p><strong>Digest:</strong> <span class="verify-digest">${escapeHtml(
+          record.digest
+        )}</span></p>
+        <p><strong>Screened:</strong> ${formatDateTime(
+          new Date(record.timestamp)
+        )}</p>
+        <p><strong>Result:</strong> ${
+          record.result === "PASSED"
+            ? "No match found - cleared"
+            : `Potential match (${record.matchCount})`
+        }</p>
+        <p><strong>Match Threshold:</strong> ${record.threshold ?? "N/A"}%</p>
+        <p><strong>Lists Searched:</strong> ${escapeHtml(
+          getListsSearched(record.listSnapshot).join("; ")
+        )}</p>
+        ${
+          list.entryCount
+            ? `<p><strong>Entries Searched:</strong> ${list.entryCount.toLocaleString()}</p>`
+            : ""
+        }
+        <p><strong>List Published:</strong> ${escapeHtml(
+          getListPublishDates(record.listSnapshot).join("; ")
+        )}</p>
+        ${
+          record.algorithmVersion
+            ? `<p><strong>Algorithm Version:</strong> ${record.algorithmVersion}</p>`
+            : ""
+        }
+        ${
+          record.store
+            ? `<p><strong>Issued By:</strong> ${escapeHtml(
+                record.store.legalName
+              )}</p>`
+            : ""
+        }
+      </div>
+    </div>
+
+    <div class="result-card fade-in">
+      <div class="result-details">
+        <p><strong>Name Searched:</strong> ${escapeHtml(fullName || "N/A")}</p>
+        <p><strong>DOB:</strong> ${escapeHtml(
+          searchParams.dob || "Not provided"
+        )}</p>
+        <p><strong>Address:</strong> ${escapeHtml(
+          fullAddress || "Not provided"
+        )}</p>
+        <p><strong>ID Number:</strong> ${escapeHtml(
+          searchParams.idNumber || "Not provided"
+        )}</p>
+        <p><strong>Type:</strong> ${escapeHtml(searchParams.type || "all")}</p>
+        ${
+          record.batchFile
+            ? `<p><strong>Batch File:</strong> ${escapeHtml(
+                record.batchFile
+              )}</p>`
+            : ""
+        }
+      </div>
+    </div>
+
+    ${
+      matches.length > 0
+        ? `
+      <div class="result-card fade-in">
+        <div class="result-details">
+          ${matches
+            .map(
+              (match) => `
+            <p><strong>${escapeHtml(match.entry.fullName)}</strong>
+            (${escapeHtml(getListShortName(match.entry.list))} UID ${escapeHtml(
+                match.entry.uid
+              )}) - ${match.score}% match${
+                match.details.length > 0
+                  ? `: ${escapeHtml(match.details.join(", "))}`
+                  : ""
+              }</p>
+          `
+            )
+            .join("")}
+        </div>
+      </div>
+    `
+        : ""
+    }
+
+    ${
+      dispositions.length > 0
+        ? `
+      <div class="result-card fade-in">
+        <div class="result-details">
+          ${dispositions
+            .map(
+              (disposition) => `
+            <p><strong>${escapeHtml(disposition.entryName)}:</strong>
+            ${DISPOSITIONS[disposition.status]} by ${escapeHtml(
+                disposition.reviewer
+              )}, ${formatDateTime(new Date(disposition.timestamp))}
+            - ${escapeHtml(disposition.reason)}</p>
+          `
+            )
+            .join("")}
+        </div>
+      </div>
+    `
+        : ""
+    }
+  `;
+  elements.verifyResult.classList.add("show");
+}
+
+/**
+ * Format date and time
+ */
+function formatDateTime(date) {
+  return date.toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", init);